@@ -0,0 +1,15 @@
+// ── Secure-intake environment ────────────────────────────────
+// Where submissions go and whom they are encrypted to. This file is the
+// production environment. /intake/ loads it as a hashed, SRI-pinned copy,
+// so another environment is built rather than swapped in on the CDN:
+//   node source/fingerprint-assets.mjs --config <its intake-config.js>
+// source/intake-standin.mjs does the same in memory with its own config
+// for offline end-to-end testing.
+export default {
+  environment: 'production',
+  endpoint: 'https://secure-intake.pages.dev/api/intake',
+  publicKeys: {
+    x25519PubHex: 'bebc2a4a3826f20e389c2236a5c4ea55222e70e33a1bf03f873436b079256b64',
+    kyberPubB64: 'YAkVHzVrtXfHy9w1tIthxKNinrZ7bnuvZjs8k8ZnwGucgmuViXu+LigioHGr3DlJpVRW60A6dbGpaAKrBOgh7VQFBcdAtAa/kVFGbiMmXjK0UhY6bLoiTgkiBLsoGMksHzuGLMkH7pIsyPxwO0aA9yZU0CayLGet8ThvQmUORQpDb+aY2wNOcSgzpKQabSIDUuKj7XZouMrLYAA02Epfr+Eo9bReyVyPSWdyMLutQQaAiXBugIFXr/gFkYGMKGMIqSnMtjLPcHoBJHlmBwFf9USfm5S2CdZi++KoS7iJuoJ2gcsrT7R8jhCRUEOURkR2Dzc605ebhuieEdIvfCFqkjp/aRWEWZEtxNHIeASq4XGLJXiSDYqTN4RuU6BZonuCpCJBk1ywDcixDkqP9JOe5XZDKbNRbHCTkdBHqQgsw2C4iGYsRNFJHFu2wMpfDNtHYkxryLImmOhfV1ywufh6W7e8+OASrmE/08cHXZh6i1qkE6tduog5X4GKXQOboqoCBCNniFdTjgm892gVwnZ56vWxRNEV5MRwM6ASxJmoVaijoDKNLylRZdk8tQxpkefAuEXPNDHGHPpr4nm3ENolnNjH3PyJewkMHQULZMPPtBKdlju0BHEHd+V9tMzNlDdFJ5OZxoTIowUk6Ikhy8C8ROFymiEi0rUQ6LwqN8wMogYQvokL8MA0FkVDHACRUZTOZPXHcNqasMJMuME+59a+8Leu6HBWP9o/VXl1LpykhhZZTmiOUbZHmwsiz8YnvZO9yxl7IRBKR2wTLPhVjadsS2eez3ED6KovjZCZuFdeXhyMYWBJ64VlGAtAe7qLr7tUJ6MvQkuvOdRi9dRZckqc6QG/G/dovaUdm5sU3zyFOYGt/jfKljk9ysWL+piScnQZqvYmVds6l5Ur/Rp+87WIvHpsuZWxDJWkLUmgntgRT0IXFSS8j+ijyhJe3YhS43wCF7i64Yt+vDd7c0FS9vfDW+CSPit49SZEWSEV/VlPgsO6QwdjFDVyhZI43IupLyKTk/st9/dXLwQJwOMQ5oU08plijew9Y4NVyQkkBfsNkjcwjaEiL6e1JLkTIoN1tAQKZmx4rkQxyDOujzpdrFGavdAdP6U+j2ac4Th7fIK+FSkco1Z6h5w6wVxHb7gGcPFZ0HCh8/IdvUCkpHovcStuEDAm5rRi9eEIsQoaeiY39Tq+jFvLHNhcepAkPXi5aVpEPAKIaVAjT8y6xqlk4iczhuIYWSRIShOJghADQouGieoRu+GzeDIgi1JP+hBGAWkL67RzVjDMWuifLqhlZ8aZp6dF/gC5QxpxjhhQrBiJsBKJJ+R/8QwhfRdco4nPHLTDr/U7MPU2bWFDnToOJUkZOhZQRTWsR3jOR/ssa7uIhBwIudbLqIFr8KmxShqpqiF8tVEkCyJHWmmleCwA9hIYXbU7LgK3hVrFlvsT8oShw2JluGoxrqwl3PdCYMcTCQDQz1Knvhu4cGAZnivDJowbrxmjytcZzgdXJvsyEDhpcGFwRokVjis5vUEpbhcrGJsT+XNTFNk25fxt+JhoadB4ZqxULXMWAqmyT9SR+gF+2uSWI5hoj8WeoBGyjHK3jgVLc5QQ6mGjWMN/UPxSXcCOQfcN4QlSRIYM/hEnqoEh8gdgWdpcBrOh5LNSNcKdlwuqxtCDiHx7kKldV+ghc0Y7d/IeovpwbWaHtgxsXjzBHXIqpZpCf3UsGbXKV5GtePd7fog+ErFgwZcf2uJqOrM59HWfoIes2Vt0WGAO5hqsnash5oAb3fsHXbxwxtSJYgxGzAIbI/yFPLUMuLcBi6WisOm7ycRxheQaZHowNbOj1INB0LlI0dFhyfBtL0NFqBm/SkShv6JUG8Be3hIqtFBuyTdeurgwtahn8zDMzEgYTpYGgHsD1aRtxZuKLNkMlpa7wGpps6Aan+g723qW5AoeoPWCNmR+NXIHpeo69+iYyvYRQ9VgJexN11G47dBEQucGgQGuRmkqjSJC53Wt4Bmr4kVKrUCNO5iEc3Z/RoR6yGW9MhxQFRPJn2eLa1BxKzEMRFC3kMyd9+Vta+X90ZK5VXNR/pwws3/f8cLAL34zbMY=',
+  },
+};
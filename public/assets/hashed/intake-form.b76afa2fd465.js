@@ -0,0 +1,203 @@
+import { createPilotAccessClient } from '/assets/hashed/intake-client.f93943d1f589.js';
+import intakeConfig from '/assets/hashed/intake-config.8a258301dbbe.js';
+import { DEFAULT_REQUEST, REQUEST_TYPES, validateRequest } from '/assets/hashed/intake-requests.491bae2e70dd.js';
+
+// ── Config ──────────────────────────────────────────────────
+const client = createPilotAccessClient({
+  endpoint: intakeConfig.endpoint,
+  requireKyber: false,
+  attemptHybrid: false, // strict CSP — skip WASM entirely, X25519-only
+  publicKeys: intakeConfig.publicKeys,
+});
+
+// ── DOM refs ────────────────────────────────────────────────
+const form = document.getElementById('intakeForm');
+const errorBanner = document.getElementById('errorBanner');
+const successState = document.getElementById('successState');
+const submitBtn = document.getElementById('submitBtn');
+const btnLabel = document.getElementById('btnLabel');
+const btnArrow = document.getElementById('btnArrow');
+const btnSpinner = document.getElementById('btnSpinner');
+const cryptoBadge = document.getElementById('cryptoBadge');
+const honeypot = document.getElementById('f-website');
+const requestTypes = document.getElementById('requestTypes');
+const requestHint = document.getElementById('requestHint');
+
+// Text inputs by canonical field name; compliance is chips
+const inputs = {
+  email: document.getElementById('f-email'),
+  company: document.getElementById('f-company'),
+  system: document.getElementById('f-system'),
+  useCase: document.getElementById('f-usecase'),
+  timeline: document.getElementById('f-timeline'),
+};
+
+// Labels and placeholders as written in the page, for fields a type leaves alone
+const defaults = {};
+for (const group of form.querySelectorAll('[data-field]')) {
+  const name = group.dataset.field;
+  defaults[name] = {
+    label: group.querySelector('.label-text').textContent,
+    placeholder: inputs[name] ? inputs[name].placeholder : '',
+  };
+}
+
+// ── Request types ───────────────────────────────────────────
+let kind = DEFAULT_REQUEST;
+
+// Native radios drawn as chips, so the fieldset gets arrow keys and one tab stop
+for (const [value, type] of Object.entries(REQUEST_TYPES)) {
+  const chip = document.createElement('label');
+  chip.className = 'chip';
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.name = 'requestType';
+  radio.value = value;
+  chip.append(radio, type.label);
+  requestTypes.appendChild(chip);
+}
+
+requestTypes.addEventListener('change', (e) => selectRequest(e.target.value));
+
+function selectRequest(value) {
+  kind = value;
+  const { hint, fields } = REQUEST_TYPES[kind];
+
+  for (const radio of requestTypes.querySelectorAll('input')) {
+    radio.checked = radio.value === kind;
+    radio.parentElement.classList.toggle('active', radio.checked);
+  }
+
+  for (const group of form.querySelectorAll('[data-field]')) {
+    const name = group.dataset.field;
+    const spec = fields[name];
+    group.hidden = !spec;
+    if (!spec) continue;
+    group.querySelector('.label-text').textContent = spec.label || defaults[name].label;
+    group.querySelector('.req').hidden = !spec.required;
+    if (inputs[name]) {
+      inputs[name].placeholder = spec.placeholder || defaults[name].placeholder;
+      inputs[name].setAttribute('aria-required', String(Boolean(spec.required)));
+    }
+  }
+
+  requestHint.textContent = hint;
+  clearErrors();
+}
+
+// ── Compliance chip toggles ─────────────────────────────────
+const selectedCompliance = new Set();
+
+document.getElementById('complianceChips').addEventListener('click', (e) => {
+  const chip = e.target.closest('.chip');
+  if (!chip) return;
+  const val = chip.dataset.value;
+  if (selectedCompliance.has(val)) {
+    selectedCompliance.delete(val);
+    chip.classList.remove('active');
+  } else {
+    selectedCompliance.add(val);
+    chip.classList.add('active');
+  }
+});
+
+// ── Field errors ────────────────────────────────────────────
+function setFieldError(name, message) {
+  const el = document.getElementById('e-' + name);
+  el.textContent = message;
+  el.hidden = !message;
+  if (inputs[name]) inputs[name].setAttribute('aria-invalid', String(Boolean(message)));
+}
+
+function clearErrors() {
+  for (const name of Object.keys(defaults)) {
+    if (document.getElementById('e-' + name)) setFieldError(name, '');
+  }
+  errorBanner.classList.remove('visible');
+}
+
+for (const [name, input] of Object.entries(inputs)) {
+  input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => setFieldError(name, ''));
+}
+
+selectRequest(kind);
+
+// ── Crypto capability badge ──────────────────────────────────
+(async () => {
+  try {
+    const cap = await client.checkCryptoCapability();
+    if (!cap.webCrypto) {
+      cryptoBadge.textContent = 'Encryption unavailable — update your browser';
+    } else {
+      // attemptHybrid:false — X25519 by design (strict CSP, no WASM)
+      cryptoBadge.innerHTML = 'Protected by <span class="pq">X25519 end-to-end encryption</span>';
+    }
+  } catch {
+    cryptoBadge.textContent = 'End-to-end encrypted';
+  }
+})();
+
+// ── Form submission ─────────────────────────────────────────
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  clearErrors();
+
+  // Clean URL if query params leaked from a previous attempt
+  if (window.location.search) {
+    history.replaceState(null, '', '/intake/');
+  }
+
+  const { fields } = REQUEST_TYPES[kind];
+  const values = {
+    email: inputs.email.value.trim(),
+    company: inputs.company.value.trim(),
+    system: inputs.system.value.trim(),
+    useCase: inputs.useCase.value,
+    timeline: inputs.timeline.value,
+    compliance: [...selectedCompliance].sort(),
+  };
+
+  // Fields this request type does not show are sent empty
+  for (const name of Object.keys(values)) {
+    if (!fields[name]) values[name] = Array.isArray(values[name]) ? [] : '';
+  }
+
+  const errors = validateRequest(kind, values);
+  if (Object.keys(errors).length) {
+    for (const [name, message] of Object.entries(errors)) setFieldError(name, message);
+    showError('Please correct the highlighted fields.');
+    const first = form.querySelector('[aria-invalid="true"]');
+    if (first) first.focus();
+    return;
+  }
+
+  setLoading(true);
+
+  try {
+    const result = await client.submit(values, kind, honeypot.value || undefined);
+
+    if (result.ok) {
+      form.style.display = 'none';
+      successState.classList.add('visible');
+      history.replaceState(null, '', '/intake/');
+    } else {
+      showError(result.error || 'Submission failed. Please try again.');
+    }
+  } catch (err) {
+    showError(err.message || 'An unexpected error occurred. Please try again.');
+  } finally {
+    setLoading(false);
+  }
+});
+
+function setLoading(on) {
+  submitBtn.disabled = on;
+  btnLabel.textContent = on ? 'Encrypting & Submitting...' : 'Submit Secure Inquiry';
+  btnArrow.style.display = on ? 'none' : 'block';
+  btnSpinner.style.display = on ? 'block' : 'none';
+}
+
+function showError(msg) {
+  errorBanner.textContent = msg;
+  errorBanner.classList.add('visible');
+}
@@ -0,0 +1,91 @@
+// ── Intake request types ────────────────────────────────────
+// Every request goes through the same createPilotAccessClient preset:
+// its canonical fields (email, company, system, useCase, timeline,
+// compliance) are fixed, and the request type travels as the
+// submission's kind. Each type chooses which of those fields it shows,
+// what they are called and which are required. Fields a type does not
+// list are hidden and sent empty.
+
+export const DEFAULT_REQUEST = 'request_pilot_access';
+
+// Leaves room for the other fields under the client's 32 KB plaintext cap
+export const MAX_TEXT_LENGTH = 2000;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const email = { required: 'Enter your work email.' };
+const company = { required: 'Enter the organization you represent.' };
+
+/**
+ * kind → { label, hint, fields }. Each field spec may set label,
+ * placeholder and required (the message shown when it is left empty).
+ */
+export const REQUEST_TYPES = {
+  request_pilot_access: {
+    label: 'Pilot access',
+    hint: 'Typical pilot: 60–90 days · scoped to one system · evaluation-focused',
+    fields: {
+      email,
+      company,
+      system: { label: 'System / Workflow (1–2 sentences)', placeholder: 'e.g. Operational log integrity, automated decision audit trail...' },
+      useCase: { label: 'Primary Use Case', required: 'Select the primary use case for the pilot.' },
+      timeline: { label: 'Implementation Timeline' },
+      compliance: {},
+    },
+  },
+  request_capability_brief: {
+    label: 'Full capability brief',
+    hint: 'The full brief is released under NDA · tell us how it will be used',
+    fields: {
+      email,
+      company,
+      system: {
+        label: 'Intended Use of the Brief',
+        placeholder: 'e.g. Source selection review, program office evaluation...',
+        required: 'Tell us how the brief will be used.',
+      },
+      compliance: {},
+    },
+  },
+  schedule_deep_dive: {
+    label: 'Technical deep-dive',
+    hint: 'Deep-dives run 60–90 minutes with our engineers · remote or on site',
+    fields: {
+      email,
+      company,
+      system: {
+        label: 'Topics to Cover',
+        placeholder: 'e.g. Key management, verification workflow, deployment in an enclave...',
+        required: 'List the topics you would like to cover.',
+      },
+      useCase: { label: 'Primary Use Case' },
+      timeline: { label: 'Preferred Timing', required: 'Select when you would like the session.' },
+      compliance: {},
+    },
+  },
+};
+
+/**
+ * Checks form values against a request type's schema. values holds every
+ * field by name (compliance as an array); returns { field: message }
+ * for each field that fails, empty when the request can be sent.
+ */
+export function validateRequest(kind, values) {
+  const { fields } = REQUEST_TYPES[kind];
+  const errors = {};
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = values[name];
+    const empty = Array.isArray(value) ? value.length === 0 : !value;
+    if (empty) {
+      if (spec.required) errors[name] = spec.required;
+    } else if (typeof value === 'string' && value.length > MAX_TEXT_LENGTH) {
+      errors[name] = `Keep this under ${MAX_TEXT_LENGTH.toLocaleString('en-US')} characters.`;
+    }
+  }
+
+  if (!errors.email && values.email && !EMAIL.test(values.email)) {
+    errors.email = 'Enter a valid email address, e.g. name@agency.mil.';
+  }
+  return errors;
+}
@@ -0,0 +1,89 @@
+import { hexDecode } from '/assets/hashed/sha256.b31c80d4cd75.js';
+
+// ── Signed checksum manifest ────────────────────────────────
+// Shared by the verifier page and the offline service worker: both
+// trust checksums.txt only once its detached Ed25519 signature checks
+// out against a key pinned here.
+
+// Key-Id → Ed25519 public key. Entries come from
+// `node source/build-checksums.mjs --keygen`; a manifest signed by any
+// other key is rejected, whatever the portal serves.
+export const TRUSTED_KEYS = {
+  'b41c9a2d60866207': {
+    signer: 'Loggie Labs Release Signing',
+    publicKeyHex: 'f1cc7bd174ded5c8ec33e54821b20d053ed16e0e32791136c6df165dac1d13c5',
+  },
+};
+
+export const MANIFEST_URL = '/defense/sha/checksums.txt';
+export const SIGNATURE_URL = '/defense/sha/checksums.txt.sig';
+
+/**
+ * Parses and authenticates manifest bytes against a base64 signature.
+ * status is verified | unsigned | untrusted | invalid | unsupported;
+ * entries ([{ sha256, name }]) are listed whatever the status — callers
+ * must not treat them as published unless status is 'verified'.
+ */
+export async function readManifest(bytes, sigText) {
+  const text = new TextDecoder().decode(bytes);
+  const header = (name) => {
+    const m = text.match(new RegExp('^#\\s*' + name + ':\\s*(.+)$', 'm'));
+    return m ? m[1].trim() : null;
+  };
+  const manifest = {
+    status: 'unsigned',
+    version: header('Version'),
+    generated: header('Generated'),
+    signer: null,
+    keyId: header('Key-Id'),
+    entries: [],
+  };
+
+  const trusted = manifest.keyId && TRUSTED_KEYS[manifest.keyId];
+  if (!sigText) {
+    manifest.status = 'unsigned';
+  } else if (!trusted) {
+    manifest.status = 'untrusted';
+  } else {
+    try {
+      const key = await crypto.subtle.importKey('raw', hexDecode(trusted.publicKeyHex), { name: 'Ed25519' }, false, ['verify']);
+      const sig = Uint8Array.from(atob(sigText), c => c.charCodeAt(0));
+      const ok = await crypto.subtle.verify({ name: 'Ed25519' }, key, sig, bytes);
+      manifest.status = ok ? 'verified' : 'invalid';
+      if (ok) manifest.signer = trusted.signer;
+    } catch (err) {
+      manifest.status = err && err.name === 'NotSupportedError' ? 'unsupported' : 'invalid';
+    }
+  }
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const match = trimmed.match(/^([0-9a-f]{64})\s{2}(.+)$/);
+    if (match) manifest.entries.push({ sha256: match[1], name: match[2] });
+  }
+  return manifest;
+}
+
+/**
+ * Fetches and authenticates the published manifest, past the HTTP cache
+ * by default. Resolves to { status: 'unavailable' } when it cannot be
+ * loaded at all.
+ */
+export async function loadManifest(init = { cache: 'no-store' }) {
+  let bytes;
+  let sigText;
+  try {
+    const [mRes, sRes] = await Promise.all([fetch(MANIFEST_URL, init), fetch(SIGNATURE_URL, init)]);
+    if (!mRes.ok) return unavailable();
+    bytes = new Uint8Array(await mRes.arrayBuffer());
+    sigText = sRes.ok ? (await sRes.text()).trim() : '';
+  } catch {
+    return unavailable();
+  }
+  return readManifest(bytes, sigText);
+}
+
+function unavailable() {
+  return { status: 'unavailable', version: null, generated: null, signer: null, keyId: null, entries: [] };
+}
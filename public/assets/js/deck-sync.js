@@ -0,0 +1,37 @@
+// ── Deck ⇄ presenter sync ───────────────────────────────────
+// Shared by deck.js (audience) and presenter.js. Both windows live on
+// the same origin, so a BroadcastChannel is enough — no server.
+//
+// Messages:
+//   { type: 'goto', slide }  — 0-based index; either side may send
+//   { type: 'hello' }        — presenter just opened; deck replies with goto
+
+export const CHANNEL_NAME = 'loggie-defense-deck';
+
+export function openChannel(onMessage) {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.addEventListener('message', (e) => {
+    if (e.data && typeof e.data.type === 'string') onMessage(e.data);
+  });
+  return channel;
+}
+
+// ── Deep links ──────────────────────────────────────────────
+// Slides are addressed 1-based in the URL (#/7 is the seventh slide).
+
+export function slideHash(idx) {
+  return '#/' + (idx + 1);
+}
+
+/**
+ * 0-based index from location.hash, or null if malformed/out of range.
+ * No hash is the first slide — the entry history has before any goTo.
+ */
+export function slideFromHash(hash, total) {
+  if (hash === '' || hash === '#') return 0;
+  const m = /^#\/(\d+)$/.exec(hash);
+  if (!m) return null;
+  const idx = Number(m[1]) - 1;
+  return idx >= 0 && idx < total ? idx : null;
+}
@@ -0,0 +1,428 @@
+import { openChannel, slideHash, slideFromHash } from '/assets/js/deck-sync.js';
+import { startOfflineMode } from '/assets/js/offline.js';
+import { loadManifest } from '/assets/js/manifest.js';
+import { loadRegistry, artifactUrl, findRelease, formatDay } from '/assets/js/registry.js';
+import { hexEncode } from '/assets/js/sha256.js';
+
+// ── Mobile detection ────────────────────────────────────────
+const isMobile = matchMedia('(hover: none) and (pointer: coarse)').matches;
+
+// ── DOM refs ────────────────────────────────────────────────
+const slides = document.querySelectorAll('.slide');
+const totalSlides = slides.length;
+const progress = document.getElementById('progress');
+const counter = document.getElementById('counter');
+const helpOverlay = document.getElementById('helpOverlay');
+const docsOverlay = document.getElementById('docsOverlay');
+const controlsEl = document.getElementById('controls');
+const menuBackdrop = document.getElementById('menuBackdrop');
+const menuSheet = document.getElementById('menuSheet');
+const transcriptEl = document.getElementById('transcript');
+const transcriptSlides = transcriptEl.querySelectorAll('.transcript-slide');
+
+// ── Core slide engine ───────────────────────────────────────
+let current = 0;
+
+/* Keep only current ± 1 slides in the render tree; expose only the
+   current one to assistive tech (nearby slides are merely transparent) */
+function updateNearby(idx) {
+  for (let i = 0; i < totalSlides; i++) {
+    slides[i].classList.toggle('nearby', i >= idx - 1 && i <= idx + 1);
+    slides[i].setAttribute('aria-hidden', String(i !== idx));
+  }
+}
+
+/* Pre-warm adjacent images in browser cache */
+function preloadAdjacent(idx) {
+  [idx - 1, idx + 1].forEach((i) => {
+    if (i >= 0 && i < totalSlides) {
+      const src = slides[i].querySelector('img').getAttribute('src');
+      if (src) new Image().src = src;
+    }
+  });
+}
+
+function goTo(n, { broadcast = true } = {}) {
+  if (n < 0 || n >= totalSlides || n === current) return;
+  slides[current].classList.remove('active');
+  current = n;
+  slides[current].classList.add('active');
+  updateNearby(current);
+  preloadAdjacent(current);
+  progress.style.width = ((current + 1) / totalSlides * 100) + '%';
+  counter.textContent = (current + 1) + ' / ' + totalSlides;
+  if (isMobile) flashCounter();
+  syncTranscript();
+  // One history entry per slide so back/forward step through the deck
+  if (location.hash !== slideHash(current)) history.pushState(null, '', slideHash(current));
+  if (broadcast && channel) channel.postMessage({ type: 'goto', slide: current });
+}
+
+function next() { goTo(current + 1); }
+function prev() { goTo(current - 1); }
+
+// Initialize
+updateNearby(0);
+syncTranscript();
+progress.style.width = (1 / totalSlides * 100) + '%';
+
+// ── Deep links + presenter sync ─────────────────────────────
+const channel = openChannel((msg) => {
+  if (msg.type === 'goto') goTo(msg.slide, { broadcast: false });
+  else if (msg.type === 'hello') channel.postMessage({ type: 'goto', slide: current });
+});
+
+window.addEventListener('hashchange', () => {
+  const idx = slideFromHash(location.hash, totalSlides);
+  if (idx !== null) goTo(idx);
+});
+
+function openPresenter() {
+  window.open('/defense/presenter/' + slideHash(current), 'loggie-presenter', 'popup,width=1280,height=800');
+}
+
+function toggleFullscreen() {
+  if (!document.fullscreenElement) {
+    document.documentElement.requestFullscreen().catch(() => {});
+  } else {
+    document.exitFullscreen();
+  }
+}
+
+function toggleHelp() {
+  helpOverlay.classList.toggle('visible');
+}
+
+function toggleDocs() {
+  docsOverlay.classList.toggle('visible');
+}
+
+// ── Text transcript ─────────────────────────────────────────
+// Generated from the Master text by source/build-deck-text.mjs. It
+// follows the deck: the current slide's text is marked and kept in view.
+function syncTranscript() {
+  transcriptSlides.forEach((el, i) => {
+    if (i === current) el.setAttribute('aria-current', 'true');
+    else el.removeAttribute('aria-current');
+  });
+  if (!transcriptEl.hidden && transcriptSlides[current]) {
+    transcriptSlides[current].scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function toggleTranscript() {
+  transcriptEl.hidden = !transcriptEl.hidden;
+  document.querySelectorAll('[data-action="transcript"][aria-expanded]').forEach((btn) => {
+    btn.setAttribute('aria-expanded', String(!transcriptEl.hidden));
+  });
+  syncTranscript();
+  if (!transcriptEl.hidden) transcriptEl.focus({ preventScroll: true });
+}
+
+// ── Click actions ───────────────────────────────────────────
+// Buttons and tap zones carry data-action instead of inline onclick,
+// so the deck runs under script-src 'self' with no 'unsafe-inline'.
+const ACTIONS = {
+  first: () => goTo(0),
+  prev,
+  next,
+  last: () => goTo(totalSlides - 1),
+  fullscreen: toggleFullscreen,
+  docs: toggleDocs,
+  help: toggleHelp,
+  menu: toggleMenu,
+  presenter: openPresenter,
+  transcript: toggleTranscript,
+  verify: triggerVerify,
+};
+
+document.addEventListener('click', (e) => {
+  const el = e.target.closest('[data-action], .menu-sheet a');
+  if (!el) return;
+  const action = ACTIONS[el.dataset.action];
+  if (action) action();
+  // Every item in the bottom sheet dismisses it, as does acting from help
+  if (menuSheet.contains(el)) closeMenu();
+  if (helpOverlay.contains(el)) helpOverlay.classList.remove('visible');
+});
+
+docsOverlay.addEventListener('click', (e) => {
+  if (e.target === docsOverlay) toggleDocs();
+});
+
+menuBackdrop.addEventListener('click', closeMenu);
+
+// ── Keyboard ────────────────────────────────────────────────
+document.addEventListener('keydown', (e) => {
+  // Close overlays on Escape
+  if (docsOverlay.classList.contains('visible') && e.key === 'Escape') {
+    docsOverlay.classList.remove('visible');
+    return;
+  }
+  if (helpOverlay.classList.contains('visible') && e.key !== '?') {
+    helpOverlay.classList.remove('visible');
+    if (e.key === 'Escape') return;
+  }
+  if (!transcriptEl.hidden && e.key === 'Escape') {
+    toggleTranscript();
+    return;
+  }
+  // Don't navigate while an overlay is open
+  if (docsOverlay.classList.contains('visible')) return;
+
+  switch (e.key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+    case ' ':
+    case 'PageDown':
+      e.preventDefault();
+      next();
+      break;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+    case 'Backspace':
+    case 'PageUp':
+      e.preventDefault();
+      prev();
+      break;
+    case 'Home':
+      e.preventDefault();
+      goTo(0);
+      break;
+    case 'End':
+      e.preventDefault();
+      goTo(totalSlides - 1);
+      break;
+    case 'f':
+    case 'F':
+      toggleFullscreen();
+      break;
+    case 'd':
+    case 'D':
+      toggleDocs();
+      break;
+    case 'p':
+    case 'P':
+      openPresenter();
+      break;
+    case 't':
+    case 'T':
+      toggleTranscript();
+      break;
+    case '?':
+      toggleHelp();
+      break;
+    case 'Escape':
+      if (helpOverlay.classList.contains('visible')) {
+        helpOverlay.classList.remove('visible');
+      }
+      break;
+  }
+});
+
+// ── Touch / swipe ───────────────────────────────────────────
+let touchStartX = 0;
+let touchStartY = 0;
+
+document.addEventListener('touchstart', (e) => {
+  touchStartX = e.changedTouches[0].screenX;
+  touchStartY = e.changedTouches[0].screenY;
+}, { passive: true });
+
+document.addEventListener('touchend', (e) => {
+  const dx = e.changedTouches[0].screenX - touchStartX;
+  const dy = e.changedTouches[0].screenY - touchStartY;
+  if (Math.abs(dx) > Math.abs(dy) && Math.abs(dx) > 50) {
+    if (dx < 0) next();
+    else prev();
+  }
+}, { passive: true });
+
+// ── Mobile counter flash ────────────────────────────────────
+let counterTimer = null;
+
+function flashCounter() {
+  counter.classList.add('visible');
+  clearTimeout(counterTimer);
+  counterTimer = setTimeout(() => counter.classList.remove('visible'), 1500);
+}
+
+// ── Mobile ⋯ menu ───────────────────────────────────────────
+function toggleMenu() {
+  const open = menuSheet.classList.toggle('open');
+  menuBackdrop.classList.toggle('open', open);
+}
+
+function closeMenu() {
+  menuSheet.classList.remove('open');
+  menuBackdrop.classList.remove('open');
+}
+
+function triggerVerify() {
+  closeMenu();
+  verifyBtn.click();
+}
+
+// ── Landscape auto-hide controls ────────────────────────────
+if (isMobile) {
+  let hideTimer = null;
+  const landscapeMQ = matchMedia('(orientation: landscape)');
+
+  const resetAutoHide = () => {
+    controlsEl.classList.remove('autohidden');
+    clearTimeout(hideTimer);
+    if (landscapeMQ.matches) {
+      hideTimer = setTimeout(() => controlsEl.classList.add('autohidden'), 2000);
+    }
+  };
+
+  landscapeMQ.addEventListener('change', resetAutoHide);
+  document.addEventListener('touchstart', resetAutoHide, { passive: true });
+  resetAutoHide();
+
+  // Show counter briefly on load
+  flashCounter();
+}
+
+// ── SHA-256 verification ────────────────────────────────────
+// The deck's releases come from the document registry: the current one
+// verifies, an earlier one is reported as superseded rather than forged.
+// A registry contradicting a verified manifest yields no deck at all, and
+// one the signed manifest does not vouch for can only report a match,
+// never a verification.
+let deckArtifact = null;
+let registryArtifacts = [];
+let registryStatus = 'unavailable';
+
+const registryReady = loadManifest()
+  .then(manifest => loadRegistry(manifest))
+  .then((registry) => {
+    registryStatus = registry.status;
+    registryArtifacts = registry.artifacts;
+    deckArtifact = registry.artifacts.find(a => a.kind === 'deck') || null;
+  })
+  .catch(() => {
+    registryStatus = 'unavailable';
+    registryArtifacts = [];
+    deckArtifact = null;
+  });
+
+const verifyBtn = document.getElementById('verifyShaBtn');
+const shaStatus = document.getElementById('shaStatus');
+let fadeTimer = null;
+
+// Hidden file input for local verification fallback
+const fileInput = document.createElement('input');
+fileInput.type = 'file';
+fileInput.accept = '.pdf';
+fileInput.hidden = true;
+document.body.appendChild(fileInput);
+
+function setStatus(text, cls) {
+  shaStatus.textContent = text;
+  shaStatus.className = 'sha-status ' + (cls || 'warn');
+  shaStatus.style.opacity = '1';
+  clearTimeout(fadeTimer);
+  fadeTimer = setTimeout(() => {
+    shaStatus.style.opacity = '0';
+    setTimeout(() => {
+      shaStatus.textContent = '';
+      shaStatus.className = 'sha-status';
+      shaStatus.style.opacity = '';
+    }, 400);
+  }, 7000);
+}
+
+async function hashAndCompare(buf) {
+  const got = hexEncode(await crypto.subtle.digest('SHA-256', buf));
+  const found = findRelease(registryArtifacts, got);
+  if (!found || found.artifact !== deckArtifact) {
+    setStatus('Mismatch', 'bad');
+  } else if (registryStatus !== 'verified') {
+    setStatus('Matches v' + found.release.version + ' — unverified registry', 'warn');
+  } else if (found.superseded) {
+    setStatus('Authentic, superseded by v' + found.latest.version + ' (' + formatDay(found.latest.released) + ')', 'warn');
+  } else {
+    setStatus('Verified v' + found.release.version, 'ok');
+  }
+}
+
+// Try fetch first (works when served via HTTP), fall back to file picker
+verifyBtn.addEventListener('click', async () => {
+  setStatus('Verifying…', 'warn');
+  await registryReady;
+  if (!deckArtifact) {
+    setStatus('Registry unavailable', 'bad');
+    return;
+  }
+  try {
+    const res = await fetch(artifactUrl(deckArtifact), { cache: 'no-store' });
+    if (!res.ok) throw new Error('fetch_failed');
+    await hashAndCompare(await res.arrayBuffer());
+  } catch {
+    // Fetch blocked (file:// or CORS) — fall back to file picker
+    setStatus('Select PDF…', 'warn');
+    fileInput.click();
+  }
+});
+
+fileInput.addEventListener('change', async () => {
+  const file = fileInput.files[0];
+  if (!file) return;
+  try {
+    setStatus('Verifying…', 'warn');
+    await registryReady;
+    await hashAndCompare(await file.arrayBuffer());
+  } catch {
+    setStatus('Error', 'bad');
+  }
+  fileInput.value = '';
+});
+
+// ── Offline briefing mode ───────────────────────────────────
+// sw.js keeps a verified snapshot; this line says whether the deck can
+// be presented without a connection and as of when it was checked.
+const offlineStatus = document.getElementById('offlineStatus');
+
+function renderOffline(s, online) {
+  const count = s.progress ? ' ' + s.progress.done + '/' + s.progress.total : '';
+  const where = online ? 'Available offline' : 'Offline';
+  let text = '';
+  let cls = 'warn';
+
+  if (s.state === 'saving') {
+    text = 'Saving for offline…' + count;
+  } else if (s.state === 'none') {
+    text = s.error ? 'Offline copy unavailable' : '';
+  } else if (s.failed.length) {
+    text = s.failed.length + ' offline file' + (s.failed.length === 1 ? '' : 's') + ' failed verification';
+    cls = 'bad';
+  } else if (s.missing.length) {
+    text = s.missing.length + ' file' + (s.missing.length === 1 ? '' : 's') + ' not saved for offline';
+  } else if (s.state === 'updating') {
+    text = 'Updating offline copy…' + count;
+  } else if (s.manifest.status === 'verified') {
+    text = where + ', verified as of ' + formatDay(s.checkedAt);
+    cls = s.error ? 'warn' : 'ok';
+  } else {
+    text = where + ' — checksums ' + s.manifest.status + ', not verified';
+  }
+
+  offlineStatus.hidden = !text;
+  offlineStatus.textContent = text;
+  offlineStatus.className = 'offline-status ' + cls;
+  offlineStatus.title = s.manifest
+    ? 'Checksum manifest' + (s.manifest.version ? ' v' + s.manifest.version : '') +
+      ' generated ' + formatDay(s.manifest.generated) + '. ' +
+      s.documents + ' slides and documents hash-checked before display' +
+      (s.unlisted ? '; ' + s.unlisted + ' not listed in the manifest' : '') + '.' +
+      (s.missing.length ? ' Could not fetch ' + s.missing.join(', ') + '.' : '') +
+      (s.error ? ' Last update failed: ' + s.error + '.' : '')
+    : (s.error || '');
+}
+
+startOfflineMode(renderOffline);
+
+// ── Open on the deep-linked slide ───────────────────────────
+const initial = slideFromHash(location.hash, totalSlides);
+if (initial !== null) goTo(initial);
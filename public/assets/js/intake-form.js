@@ -1,14 +1,13 @@
 import { createPilotAccessClient } from '/assets/js/intake-client.js';
+import intakeConfig from '/assets/js/intake-config.js';
+import { DEFAULT_REQUEST, REQUEST_TYPES, validateRequest } from '/assets/js/intake-requests.js';
 
 // ── Config ──────────────────────────────────────────────────
 const client = createPilotAccessClient({
-  endpoint: 'https://secure-intake.pages.dev/api/intake',
+  endpoint: intakeConfig.endpoint,
   requireKyber: false,
   attemptHybrid: false, // strict CSP — skip WASM entirely, X25519-only
-  publicKeys: {
-    x25519PubHex: 'bebc2a4a3826f20e389c2236a5c4ea55222e70e33a1bf03f873436b079256b64',
-    kyberPubB64: 'YAkVHzVrtXfHy9w1tIthxKNinrZ7bnuvZjs8k8ZnwGucgmuViXu+LigioHGr3DlJpVRW60A6dbGpaAKrBOgh7VQFBcdAtAa/kVFGbiMmXjK0UhY6bLoiTgkiBLsoGMksHzuGLMkH7pIsyPxwO0aA9yZU0CayLGet8ThvQmUORQpDb+aY2wNOcSgzpKQabSIDUuKj7XZouMrLYAA02Epfr+Eo9bReyVyPSWdyMLutQQaAiXBugIFXr/gFkYGMKGMIqSnMtjLPcHoBJHlmBwFf9USfm5S2CdZi++KoS7iJuoJ2gcsrT7R8jhCRUEOURkR2Dzc605ebhuieEdIvfCFqkjp/aRWEWZEtxNHIeASq4XGLJXiSDYqTN4RuU6BZonuCpCJBk1ywDcixDkqP9JOe5XZDKbNRbHCTkdBHqQgsw2C4iGYsRNFJHFu2wMpfDNtHYkxryLImmOhfV1ywufh6W7e8+OASrmE/08cHXZh6i1qkE6tduog5X4GKXQOboqoCBCNniFdTjgm892gVwnZ56vWxRNEV5MRwM6ASxJmoVaijoDKNLylRZdk8tQxpkefAuEXPNDHGHPpr4nm3ENolnNjH3PyJewkMHQULZMPPtBKdlju0BHEHd+V9tMzNlDdFJ5OZxoTIowUk6Ikhy8C8ROFymiEi0rUQ6LwqN8wMogYQvokL8MA0FkVDHACRUZTOZPXHcNqasMJMuME+59a+8Leu6HBWP9o/VXl1LpykhhZZTmiOUbZHmwsiz8YnvZO9yxl7IRBKR2wTLPhVjadsS2eez3ED6KovjZCZuFdeXhyMYWBJ64VlGAtAe7qLr7tUJ6MvQkuvOdRi9dRZckqc6QG/G/dovaUdm5sU3zyFOYGt/jfKljk9ysWL+piScnQZqvYmVds6l5Ur/Rp+87WIvHpsuZWxDJWkLUmgntgRT0IXFSS8j+ijyhJe3YhS43wCF7i64Yt+vDd7c0FS9vfDW+CSPit49SZEWSEV/VlPgsO6QwdjFDVyhZI43IupLyKTk/st9/dXLwQJwOMQ5oU08plijew9Y4NVyQkkBfsNkjcwjaEiL6e1JLkTIoN1tAQKZmx4rkQxyDOujzpdrFGavdAdP6U+j2ac4Th7fIK+FSkco1Z6h5w6wVxHb7gGcPFZ0HCh8/IdvUCkpHovcStuEDAm5rRi9eEIsQoaeiY39Tq+jFvLHNhcepAkPXi5aVpEPAKIaVAjT8y6xqlk4iczhuIYWSRIShOJghADQouGieoRu+GzeDIgi1JP+hBGAWkL67RzVjDMWuifLqhlZ8aZp6dF/gC5QxpxjhhQrBiJsBKJJ+R/8QwhfRdco4nPHLTDr/U7MPU2bWFDnToOJUkZOhZQRTWsR3jOR/ssa7uIhBwIudbLqIFr8KmxShqpqiF8tVEkCyJHWmmleCwA9hIYXbU7LgK3hVrFlvsT8oShw2JluGoxrqwl3PdCYMcTCQDQz1Knvhu4cGAZnivDJowbrxmjytcZzgdXJvsyEDhpcGFwRokVjis5vUEpbhcrGJsT+XNTFNk25fxt+JhoadB4ZqxULXMWAqmyT9SR+gF+2uSWI5hoj8WeoBGyjHK3jgVLc5QQ6mGjWMN/UPxSXcCOQfcN4QlSRIYM/hEnqoEh8gdgWdpcBrOh5LNSNcKdlwuqxtCDiHx7kKldV+ghc0Y7d/IeovpwbWaHtgxsXjzBHXIqpZpCf3UsGbXKV5GtePd7fog+ErFgwZcf2uJqOrM59HWfoIes2Vt0WGAO5hqsnash5oAb3fsHXbxwxtSJYgxGzAIbI/yFPLUMuLcBi6WisOm7ycRxheQaZHowNbOj1INB0LlI0dFhyfBtL0NFqBm/SkShv6JUG8Be3hIqtFBuyTdeurgwtahn8zDMzEgYTpYGgHsD1aRtxZuKLNkMlpa7wGpps6Aan+g723qW5AoeoPWCNmR+NXIHpeo69+iYyvYRQ9VgJexN11G47dBEQucGgQGuRmkqjSJC53Wt4Bmr4kVKrUCNO5iEc3Z/RoR6yGW9MhxQFRPJn2eLa1BxKzEMRFC3kMyd9+Vta+X90ZK5VXNR/pwws3/f8cLAL34zbMY=',
-  },
+  publicKeys: intakeConfig.publicKeys,
 });
 
 // ── DOM refs ────────────────────────────────────────────────
@@ -21,6 +20,70 @@ const btnArrow = document.getElementById('btnArrow');
 const btnSpinner = document.getElementById('btnSpinner');
 const cryptoBadge = document.getElementById('cryptoBadge');
 const honeypot = document.getElementById('f-website');
+const requestTypes = document.getElementById('requestTypes');
+const requestHint = document.getElementById('requestHint');
+
+// Text inputs by canonical field name; compliance is chips
+const inputs = {
+  email: document.getElementById('f-email'),
+  company: document.getElementById('f-company'),
+  system: document.getElementById('f-system'),
+  useCase: document.getElementById('f-usecase'),
+  timeline: document.getElementById('f-timeline'),
+};
+
+// Labels and placeholders as written in the page, for fields a type leaves alone
+const defaults = {};
+for (const group of form.querySelectorAll('[data-field]')) {
+  const name = group.dataset.field;
+  defaults[name] = {
+    label: group.querySelector('.label-text').textContent,
+    placeholder: inputs[name] ? inputs[name].placeholder : '',
+  };
+}
+
+// ── Request types ───────────────────────────────────────────
+let kind = DEFAULT_REQUEST;
+
+// Native radios drawn as chips, so the fieldset gets arrow keys and one tab stop
+for (const [value, type] of Object.entries(REQUEST_TYPES)) {
+  const chip = document.createElement('label');
+  chip.className = 'chip';
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.name = 'requestType';
+  radio.value = value;
+  chip.append(radio, type.label);
+  requestTypes.appendChild(chip);
+}
+
+requestTypes.addEventListener('change', (e) => selectRequest(e.target.value));
+
+function selectRequest(value) {
+  kind = value;
+  const { hint, fields } = REQUEST_TYPES[kind];
+
+  for (const radio of requestTypes.querySelectorAll('input')) {
+    radio.checked = radio.value === kind;
+    radio.parentElement.classList.toggle('active', radio.checked);
+  }
+
+  for (const group of form.querySelectorAll('[data-field]')) {
+    const name = group.dataset.field;
+    const spec = fields[name];
+    group.hidden = !spec;
+    if (!spec) continue;
+    group.querySelector('.label-text').textContent = spec.label || defaults[name].label;
+    group.querySelector('.req').hidden = !spec.required;
+    if (inputs[name]) {
+      inputs[name].placeholder = spec.placeholder || defaults[name].placeholder;
+      inputs[name].setAttribute('aria-required', String(Boolean(spec.required)));
+    }
+  }
+
+  requestHint.textContent = hint;
+  clearErrors();
+}
 
 // ── Compliance chip toggles ─────────────────────────────────
 const selectedCompliance = new Set();
@@ -38,6 +101,27 @@ document.getElementById('complianceChips').addEventListener('click', (e) => {
   }
 });
 
+// ── Field errors ────────────────────────────────────────────
+function setFieldError(name, message) {
+  const el = document.getElementById('e-' + name);
+  el.textContent = message;
+  el.hidden = !message;
+  if (inputs[name]) inputs[name].setAttribute('aria-invalid', String(Boolean(message)));
+}
+
+function clearErrors() {
+  for (const name of Object.keys(defaults)) {
+    if (document.getElementById('e-' + name)) setFieldError(name, '');
+  }
+  errorBanner.classList.remove('visible');
+}
+
+for (const [name, input] of Object.entries(inputs)) {
+  input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => setFieldError(name, ''));
+}
+
+selectRequest(kind);
+
 // ── Crypto capability badge ──────────────────────────────────
 (async () => {
   try {
@@ -56,32 +140,41 @@ document.getElementById('complianceChips').addEventListener('click', (e) => {
 // ── Form submission ─────────────────────────────────────────
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
-  errorBanner.classList.remove('visible');
+  clearErrors();
 
   // Clean URL if query params leaked from a previous attempt
   if (window.location.search) {
     history.replaceState(null, '', '/intake/');
   }
 
-  const formData = {
-    email: document.getElementById('f-email').value.trim(),
-    company: document.getElementById('f-company').value.trim(),
-    system: document.getElementById('f-system').value.trim(),
-    useCase: document.getElementById('f-usecase').value,
-    timeline: document.getElementById('f-timeline').value,
+  const { fields } = REQUEST_TYPES[kind];
+  const values = {
+    email: inputs.email.value.trim(),
+    company: inputs.company.value.trim(),
+    system: inputs.system.value.trim(),
+    useCase: inputs.useCase.value,
+    timeline: inputs.timeline.value,
     compliance: [...selectedCompliance].sort(),
   };
 
-  // Basic validation
-  if (!formData.email || !formData.company || !formData.useCase) {
-    showError('Please fill in all required fields.');
+  // Fields this request type does not show are sent empty
+  for (const name of Object.keys(values)) {
+    if (!fields[name]) values[name] = Array.isArray(values[name]) ? [] : '';
+  }
+
+  const errors = validateRequest(kind, values);
+  if (Object.keys(errors).length) {
+    for (const [name, message] of Object.entries(errors)) setFieldError(name, message);
+    showError('Please correct the highlighted fields.');
+    const first = form.querySelector('[aria-invalid="true"]');
+    if (first) first.focus();
     return;
   }
 
   setLoading(true);
 
   try {
-    const result = await client.submit(formData, 'request_pilot_access', honeypot.value || undefined);
+    const result = await client.submit(values, kind, honeypot.value || undefined);
 
     if (result.ok) {
       form.style.display = 'none';
@@ -0,0 +1,37 @@
+// ── Offline briefing mode (page side) ───────────────────────
+// Registers /defense/sw.js and relays its snapshot status. The worker
+// does the caching and verification; pages only ask it to check for a
+// newer manifest when they load online and whenever they reconnect.
+
+const SW_URL = '/defense/sw.js';
+const SW_SCOPE = '/defense/';
+
+/**
+ * Starts offline mode and calls onStatus(status, online) whenever the
+ * snapshot or connectivity changes. Returns false where service
+ * workers are unavailable (old browsers, file://, private modes).
+ */
+export function startOfflineMode(onStatus) {
+  if (!('serviceWorker' in navigator)) return false;
+
+  let last = null;
+  const report = () => { if (last) onStatus(last, navigator.onLine); };
+  const ask = (type) => navigator.serviceWorker.ready.then(reg => reg.active && reg.active.postMessage({ type }));
+
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (!e.data || e.data.type !== 'offline-status') return;
+    last = e.data;
+    report();
+  });
+  navigator.serviceWorker.startMessages();
+
+  navigator.serviceWorker.register(SW_URL, { scope: SW_SCOPE }).catch(() => {
+    last = { type: 'offline-status', state: 'none', error: 'Offline mode could not start in this browser' };
+    report();
+  });
+
+  ask(navigator.onLine ? 'check' : 'status');
+  window.addEventListener('online', () => { report(); ask('check'); });
+  window.addEventListener('offline', report);
+  return true;
+}
@@ -0,0 +1,200 @@
+import { openChannel, slideHash, slideFromHash } from '/assets/js/deck-sync.js';
+
+const NOTES_URL = '/defense/assets/notes.json';
+
+function slideSrc(idx) {
+  return '/defense/assets/slides/defense-slide-' + (idx + 1) + '.png';
+}
+
+// ── DOM refs ────────────────────────────────────────────────
+const currentImg = document.getElementById('currentImg');
+const nextImg = document.getElementById('nextImg');
+const nextTitle = document.getElementById('nextTitle');
+const slideLabel = document.getElementById('slideLabel');
+const notesEl = document.getElementById('notes');
+const elapsedEl = document.getElementById('elapsed');
+const slideTimeEl = document.getElementById('slideTime');
+const pauseBtn = document.getElementById('pauseBtn');
+const linkStatus = document.getElementById('linkStatus');
+
+// ── State ───────────────────────────────────────────────────
+let slides = [];
+let total = null;
+let notesError = false;
+let current = 0;
+
+// ── Timers ──────────────────────────────────────────────────
+// Elapsed runs for the whole briefing and can be paused; the slide
+// timer restarts on every slide change.
+let elapsedMs = 0;
+let runningSince = Date.now();
+let slideSince = Date.now();
+
+function formatDuration(ms) {
+  const secs = Math.floor(ms / 1000);
+  const h = Math.floor(secs / 3600);
+  const m = Math.floor((secs % 3600) / 60);
+  const s = secs % 60;
+  const mmss = String(m).padStart(2, '0') + ':' + String(s).padStart(2, '0');
+  return h ? h + ':' + mmss : mmss;
+}
+
+function tick() {
+  const now = Date.now();
+  const elapsed = elapsedMs + (runningSince ? now - runningSince : 0);
+  elapsedEl.textContent = formatDuration(elapsed);
+  slideTimeEl.textContent = formatDuration(now - slideSince);
+}
+
+function togglePause() {
+  if (runningSince) {
+    elapsedMs += Date.now() - runningSince;
+    runningSince = null;
+    pauseBtn.textContent = 'Resume';
+  } else {
+    runningSince = Date.now();
+    pauseBtn.textContent = 'Pause';
+  }
+  tick();
+}
+
+function resetTimers() {
+  elapsedMs = 0;
+  runningSince = runningSince ? Date.now() : null;
+  slideSince = Date.now();
+  tick();
+}
+
+setInterval(tick, 1000);
+
+// ── Rendering ───────────────────────────────────────────────
+function render() {
+  const slide = slides[current];
+  currentImg.src = slideSrc(current);
+  currentImg.alt = 'Current: slide ' + (current + 1);
+  slideLabel.textContent = 'Slide ' + (current + 1) + (total ? ' / ' + total : '') +
+    (slide ? ' — ' + slide.title : '');
+
+  notesEl.replaceChildren();
+  if (!slide) notesEl.textContent = notesError ? 'Speaker notes unavailable.' : 'No notes for this slide.';
+  for (const text of slide ? slide.notes : []) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    notesEl.appendChild(p);
+  }
+
+  const hasNext = total === null || current + 1 < total;
+  nextImg.hidden = !hasNext;
+  if (hasNext) {
+    nextImg.src = slideSrc(current + 1);
+    nextImg.alt = 'Next: slide ' + (current + 2);
+  }
+  nextTitle.textContent = hasNext ? (slides[current + 1] ? slides[current + 1].title : '') : 'End of deck';
+}
+
+function goTo(n, { broadcast = true } = {}) {
+  if (n < 0 || (total !== null && n >= total) || n === current) return;
+  current = n;
+  slideSince = Date.now();
+  render();
+  tick();
+  if (location.hash !== slideHash(current)) history.pushState(null, '', slideHash(current));
+  if (broadcast && channel) channel.postMessage({ type: 'goto', slide: current });
+}
+
+// ── Sync with the audience window ───────────────────────────
+// The deck answers hello with a goto. Until one arrives, keep asking so a
+// deck opened later still links, and say so once the first ask goes unanswered.
+const HELLO_INTERVAL_MS = 2000;
+let helloTimer = null;
+
+const channel = openChannel((msg) => {
+  if (msg.type !== 'goto') return;
+  if (helloTimer !== null) {
+    clearInterval(helloTimer);
+    helloTimer = null;
+  }
+  linkStatus.textContent = 'Audience window linked';
+  linkStatus.className = 'link ok';
+  goTo(msg.slide, { broadcast: false });
+});
+
+function joinDeck() {
+  channel.postMessage({ type: 'hello' });
+  helloTimer = setInterval(() => {
+    linkStatus.textContent = 'Deck not connected — open the deck to sync';
+    linkStatus.className = 'link bad';
+    channel.postMessage({ type: 'hello' });
+  }, HELLO_INTERVAL_MS);
+}
+
+if (!channel) {
+  linkStatus.textContent = 'Sync unavailable in this browser';
+  linkStatus.className = 'link bad';
+}
+
+window.addEventListener('hashchange', () => {
+  const idx = slideFromHash(location.hash, total === null ? Infinity : total);
+  if (idx !== null) goTo(idx);
+});
+
+// ── Controls ────────────────────────────────────────────────
+document.getElementById('prevBtn').addEventListener('click', () => goTo(current - 1));
+document.getElementById('nextBtn').addEventListener('click', () => goTo(current + 1));
+document.getElementById('resetBtn').addEventListener('click', resetTimers);
+pauseBtn.addEventListener('click', togglePause);
+
+document.addEventListener('keydown', (e) => {
+  switch (e.key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+    case ' ':
+    case 'PageDown':
+      e.preventDefault();
+      goTo(current + 1);
+      break;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+    case 'Backspace':
+    case 'PageUp':
+      e.preventDefault();
+      goTo(current - 1);
+      break;
+    case 'Home':
+      e.preventDefault();
+      goTo(0);
+      break;
+    case 'End':
+      e.preventDefault();
+      if (total !== null) goTo(total - 1);
+      break;
+    case 'r':
+    case 'R':
+      resetTimers();
+      break;
+    case 't':
+    case 'T':
+      togglePause();
+      break;
+  }
+});
+
+// ── Load speaker notes, then join the deck ──────────────────
+(async () => {
+  try {
+    const res = await fetch(NOTES_URL);
+    if (!res.ok) throw new Error('notes_unavailable');
+    slides = (await res.json()).slides;
+    total = slides.length;
+  } catch {
+    notesError = true;
+  }
+
+  const initial = slideFromHash(location.hash, total === null ? Infinity : total);
+  if (initial !== null) current = initial;
+  render();
+  tick();
+
+  // Ask an open deck window where it is; it answers with a goto
+  if (channel) joinDeck();
+})();
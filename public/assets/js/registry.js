@@ -0,0 +1,81 @@
+import { hexEncode } from './sha256.js';
+
+// ── Versioned document registry ─────────────────────────────
+// /defense/sha/registry.json records every released version of each
+// published artifact with its SHA-256 and release date. It carries no
+// signature of its own: source/build-checksums.mjs lists its hash in the
+// signed checksums.txt, so it is exactly as trustworthy as that manifest.
+//
+// source/build-documents.mjs renders the portal from the same helpers,
+// so its one import is relative and it loads in Node as well.
+
+export const REGISTRY_URL = '/defense/sha/registry.json';
+export const REGISTRY_NAME = 'registry.json';
+
+/**
+ * Loads the registry and checks it against a manifest from manifest.js.
+ * status is verified (listed in a verified manifest and matching) |
+ * unverified (manifest unverified, or predates the registry) |
+ * mismatch (a verified manifest lists a different hash — artifacts are
+ * withheld) | unavailable. Fetched past the HTTP cache by default, so
+ * a cached registry is never paired with a newer manifest.
+ */
+export async function loadRegistry(manifest, init = { cache: 'no-store' }) {
+  let bytes;
+  try {
+    const res = await fetch(REGISTRY_URL, init);
+    if (!res.ok) return { status: 'unavailable', artifacts: [] };
+    bytes = await res.arrayBuffer();
+  } catch {
+    return { status: 'unavailable', artifacts: [] };
+  }
+
+  let status = 'unverified';
+  const listed = manifest.entries.find(e => e.name === REGISTRY_NAME);
+  if (manifest.status === 'verified' && listed) {
+    const hex = hexEncode(await crypto.subtle.digest('SHA-256', bytes));
+    status = hex === listed.sha256 ? 'verified' : 'mismatch';
+  }
+  if (status === 'mismatch') return { status, artifacts: [] };
+
+  try {
+    const { artifacts } = JSON.parse(new TextDecoder().decode(bytes));
+    if (!Array.isArray(artifacts)) return { status: 'unavailable', artifacts: [] };
+    return { status, artifacts };
+  } catch {
+    return { status: 'unavailable', artifacts: [] };
+  }
+}
+
+/** Versions are recorded oldest first; the last one is current. */
+export function latestRelease(artifact) {
+  return artifact.versions[artifact.versions.length - 1];
+}
+
+/** Where the current release is served from. */
+export function artifactUrl(artifact) {
+  return artifact.releaseUrl
+    ? artifact.releaseUrl.replace('{version}', latestRelease(artifact).version)
+    : artifact.url;
+}
+
+/** A release date (YYYY-MM-DD) or timestamp as e.g. "19 Oct 2026", in UTC. */
+export function formatDay(date) {
+  const d = new Date(date);
+  return isNaN(d) ? String(date) : d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Finds the release a hash belongs to: { artifact, release, latest,
+ * superseded } or null if no version of any artifact has that hash.
+ */
+export function findRelease(artifacts, sha256) {
+  for (const artifact of artifacts) {
+    const release = artifact.versions.find(v => v.sha256 === sha256);
+    if (release) {
+      const latest = latestRelease(artifact);
+      return { artifact, release, latest, superseded: release !== latest };
+    }
+  }
+  return null;
+}
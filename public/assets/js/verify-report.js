@@ -0,0 +1,33 @@
+// ── Verification report as CSV ──────────────────────────────
+// Kept apart from verify.js, which drives the page, so the export can be
+// checked on its own (test/verify-report.test.mjs).
+
+export const CSV_COLUMNS = ['path', 'file', 'size', 'sha256', 'status', 'document', 'version', 'supersededBy', 'checkedAt', 'error'];
+
+function csvValue(r, column) {
+  const value = r[column];
+  return column === 'supersededBy' && value ? 'v' + value.version + ' (' + value.released + ')' : value;
+}
+
+/**
+ * The verifier's report (buildReport in verify.js) as CSV: one row per
+ * checked file, then one per published document not yet verified.
+ */
+export function buildCsv(report) {
+  const rows = [CSV_COLUMNS.concat('manifestVersion', 'manifestSignature')];
+  for (const r of report.files) {
+    rows.push(CSV_COLUMNS.map(c => csvValue(r, c)).concat(report.manifest.version, report.manifest.signatureStatus));
+  }
+  for (const name of report.missing) {
+    const missing = { status: 'missing', document: name };
+    rows.push(CSV_COLUMNS.map(c => missing[c]).concat(report.manifest.version, report.manifest.signatureStatus));
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function csvField(value) {
+  let s = value == null ? '' : String(value);
+  // Keep spreadsheet apps from evaluating file names as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
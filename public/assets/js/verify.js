@@ -1,30 +1,73 @@
-// ── Load published checksums on page load ───────────────────
+import { hashFile } from '/assets/js/sha256.js';
+import { MANIFEST_URL, loadManifest } from '/assets/js/manifest.js';
+import { loadRegistry, findRelease, formatDay } from '/assets/js/registry.js';
+import { buildCsv } from '/assets/js/verify-report.js';
+
+// ── Load and authenticate published checksums ───────────────
 const checksums = new Map();
+const published = [];
+let manifest = { status: 'unavailable', version: null, generated: null, signer: null, keyId: null };
+let registry = { status: 'unavailable', artifacts: [] };
 
-(async () => {
-  try {
-    const res = await fetch('/defense/sha/checksums.txt');
-    const text = await res.text();
-    for (const line of text.split('\n')) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) continue;
-      const match = trimmed.match(/^([0-9a-f]{64})\s{2}(.+)$/);
-      if (match) checksums.set(match[1], match[2]);
-    }
-  } catch {
-    // Checksums unavailable — tool will report mismatch for all files
-  }
-})();
+const manifestReady = loadManifest().then(async (loaded) => {
+  manifest = loaded;
+  // Entries are only trusted once the signature has checked out
+  if (manifest.status !== 'verified') return;
+  for (const { sha256, name } of manifest.entries) checksums.set(sha256, name);
+
+  // Earlier releases are only recognised through a registry the manifest vouches for
+  registry = await loadRegistry(manifest);
+
+  // Reviewers drop document packages; slide images are not expected
+  const names = registry.status === 'verified'
+    ? registry.artifacts.map(a => a.file)
+    : manifest.entries.map(e => e.name).filter(name => /\.pdf$/i.test(name));
+  published.push(...names);
+}).catch(() => {
+  // A registry that is not the expected shape counts as no registry
+  registry = { status: 'unavailable', artifacts: [] };
+}).finally(renderManifestStatus);
 
 // ── DOM refs ────────────────────────────────────────────────
 const dropZone = document.getElementById('dropZone');
 const fileInput = document.getElementById('fileInput');
 const hashingEl = document.getElementById('hashing');
-const resultEl = document.getElementById('result');
-const resultFilename = document.getElementById('resultFilename');
-const resultHash = document.getElementById('resultHash');
-const resultStatus = document.getElementById('resultStatus');
-const resultDetail = document.getElementById('resultDetail');
+const hashingLabel = document.getElementById('hashingLabel');
+const hashingFill = document.getElementById('hashingFill');
+const resultsEl = document.getElementById('results');
+const resultsSummary = document.getElementById('resultsSummary');
+const resultsBody = document.getElementById('resultsBody');
+const missingEl = document.getElementById('missing');
+const manifestStatusEl = document.getElementById('manifestStatus');
+
+// ── Manifest status line ────────────────────────────────────
+const MANIFEST_MESSAGES = {
+  unavailable: 'Checksum manifest could not be loaded.',
+  unsigned: 'Checksum manifest is not signed — matches cannot be confirmed.',
+  untrusted: 'Checksum manifest is signed by an unrecognised key — matches cannot be confirmed.',
+  invalid: 'Checksum manifest signature is INVALID — the manifest may have been altered.',
+  unsupported: 'This browser cannot check Ed25519 signatures — update your browser to verify.',
+};
+
+function renderManifestStatus() {
+  if (manifest.status === 'verified') {
+    manifestStatusEl.className = 'manifest-status ok';
+    manifestStatusEl.textContent =
+      'Manifest v' + manifest.version + ' signed by ' + manifest.signer +
+      ' (key ' + manifest.keyId + ') on ' + formatDate(manifest.generated) + '.' +
+      (registry.status === 'mismatch'
+        ? ' The document registry does not match this manifest — earlier releases cannot be recognised.'
+        : '');
+  } else {
+    manifestStatusEl.className = 'manifest-status bad';
+    manifestStatusEl.textContent = MANIFEST_MESSAGES[manifest.status];
+  }
+}
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  return isNaN(d) ? String(iso) : d.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC');
+}
 
 // ── Drop zone interactions ──────────────────────────────────
 dropZone.addEventListener('click', () => fileInput.click());
@@ -38,54 +81,265 @@ dropZone.addEventListener('dragleave', () => {
   dropZone.classList.remove('dragover');
 });
 
-dropZone.addEventListener('drop', (e) => {
+dropZone.addEventListener('drop', async (e) => {
   e.preventDefault();
   dropZone.classList.remove('dragover');
-  const file = e.dataTransfer.files[0];
-  if (file) verifyFile(file);
+  const files = await collectDropped(e.dataTransfer);
+  if (files.length) verifyBatch(files);
 });
 
 fileInput.addEventListener('change', () => {
-  const file = fileInput.files[0];
-  if (file) verifyFile(file);
+  const files = [...fileInput.files].map(file => ({ file, path: file.webkitRelativePath || file.name }));
+  if (files.length) verifyBatch(files);
   fileInput.value = '';
 });
 
-// ── Verify file ─────────────────────────────────────────────
-async function verifyFile(file) {
-  resultEl.classList.remove('visible');
+document.getElementById('exportJson').addEventListener('click', () => {
+  download('json', 'application/json', JSON.stringify(buildReport(), null, 2) + '\n');
+});
+
+document.getElementById('exportCsv').addEventListener('click', () => {
+  download('csv', 'text/csv', buildCsv(buildReport()));
+});
+
+document.getElementById('clearResults').addEventListener('click', () => {
+  results.length = 0;
+  render();
+});
+
+// ── Dropped files and folders ───────────────────────────────
+// Folders only come through the entry API; everything else falls back
+// to the flat FileList.
+async function collectDropped(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (!entries.length) {
+    return [...dataTransfer.files].map(file => ({ file, path: file.name }));
+  }
+
+  const out = [];
+  for (const entry of entries) await walkEntry(entry, out);
+  return out;
+}
+
+/* An entry that cannot be read (permissions, removed mid-drop) is kept
+   as { file: null, path, error } so the batch lists it as an error */
+async function walkEntry(entry, out) {
+  const path = entry.fullPath.replace(/^\//, '');
+  if (entry.isFile) {
+    try {
+      out.push({ file: await new Promise((resolve, reject) => entry.file(resolve, reject)), path });
+    } catch {
+      out.push({ file: null, path, error: 'Could not read this file' });
+    }
+    return;
+  }
+  if (!entry.isDirectory) return;
+
+  // readEntries() returns at most ~100 entries per call — drain it
+  const reader = entry.createReader();
+  for (;;) {
+    let batch;
+    try {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    } catch {
+      out.push({ file: null, path: path + '/', error: 'Could not read this folder' });
+      return;
+    }
+    if (!batch.length) break;
+    for (const child of batch) await walkEntry(child, out);
+  }
+}
+
+// ── Verify a batch ──────────────────────────────────────────
+const results = [];
+let busy = Promise.resolve();
+
+function verifyBatch(files) {
+  // Serialise batches so a second drop waits for the first
+  busy = busy.then(() => runBatch(files));
+  return busy;
+}
+
+async function runBatch(files) {
   hashingEl.classList.add('visible');
+  await manifestReady;
+
+  for (let i = 0; i < files.length; i++) {
+    const { file, path, error } = files[i];
+    const label = 'Computing SHA-256 — ' + (i + 1) + ' of ' + files.length + ': ' + path;
+    setProgress(label, 0);
+
+    const entry = {
+      file: file ? file.name : path.split('/').filter(Boolean).pop(),
+      path,
+      size: file ? file.size : null,
+      sha256: null,
+      status: 'error',
+      document: null,
+      version: null,
+      supersededBy: null,
+      checkedAt: null,
+      error: error || null,
+    };
 
-  try {
-    const buffer = await file.arrayBuffer();
-    const hashBuffer = await crypto.subtle.digest('SHA-256', buffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-
-    hashingEl.classList.remove('visible');
-
-    resultFilename.textContent = file.name;
-    resultHash.textContent = 'SHA-256: ' + hex;
-
-    const matchedName = checksums.get(hex);
-    if (matchedName) {
-      resultStatus.className = 'result-status match';
-      resultStatus.textContent = 'Verified: matches published checksum.';
-      resultDetail.textContent = 'Document: ' + matchedName;
-    } else {
-      resultStatus.className = 'result-status mismatch';
-      resultStatus.textContent = 'No match found.';
-      resultDetail.textContent = 'This file does not match any published artifact for this portal.';
+    try {
+      if (!file) throw new Error(error);
+      entry.sha256 = await hashFile(file, (fraction) => setProgress(label, fraction));
+      const matchedName = checksums.get(entry.sha256);
+      const found = registry.status === 'verified' ? findRelease(registry.artifacts, entry.sha256) : null;
+      if (manifest.status !== 'verified') {
+        entry.status = 'unverified';
+      } else if (matchedName) {
+        entry.status = 'verified';
+        entry.document = matchedName;
+        if (found) entry.version = found.release.version;
+      } else if (found) {
+        // A genuine earlier release — not a forgery, but no longer current
+        entry.status = 'superseded';
+        entry.document = found.artifact.file;
+        entry.version = found.release.version;
+        entry.supersededBy = { version: found.latest.version, released: found.latest.released };
+      } else {
+        entry.status = 'no-match';
+      }
+    } catch {
+      // Unreadable file (permissions, removed mid-drop) — recorded as error
+      entry.error = entry.error || 'Could not read this file';
     }
 
-    resultEl.classList.add('visible');
-  } catch {
-    hashingEl.classList.remove('visible');
-    resultFilename.textContent = file.name;
-    resultHash.textContent = '';
-    resultStatus.className = 'result-status mismatch';
-    resultStatus.textContent = 'Error computing hash.';
-    resultDetail.textContent = '';
-    resultEl.classList.add('visible');
+    entry.checkedAt = new Date().toISOString();
+    results.push(entry);
+    render();
   }
+
+  hashingEl.classList.remove('visible');
+}
+
+function setProgress(label, fraction) {
+  hashingLabel.textContent = label + ' (' + Math.round(fraction * 100) + '%)';
+  hashingFill.style.width = (fraction * 100) + '%';
+}
+
+// ── Results table ───────────────────────────────────────────
+const STATUS_LABELS = {
+  verified: 'Verified',
+  superseded: 'Superseded',
+  'no-match': 'No match',
+  unverified: 'Not verified',
+  error: 'Error',
+};
+
+function missingArtifacts() {
+  if (manifest.status !== 'verified') return [];
+  const found = new Set(results.filter(r => r.status === 'verified').map(r => r.document));
+  return published.filter(name => !found.has(name));
+}
+
+function render() {
+  resultsEl.classList.toggle('visible', results.length > 0);
+  resultsBody.replaceChildren();
+
+  for (const r of results) {
+    const row = document.createElement('tr');
+
+    const fileCell = document.createElement('td');
+    fileCell.className = 'cell-file';
+    fileCell.textContent = r.path;
+    if (r.document && (r.document !== r.file || r.version)) {
+      const doc = document.createElement('div');
+      doc.className = 'cell-sub';
+      doc.textContent = (r.document !== r.file ? 'Published as ' + r.document : r.document) +
+        (r.version ? ' · v' + r.version : '');
+      fileCell.appendChild(doc);
+    }
+
+    const hashCell = document.createElement('td');
+    hashCell.className = 'cell-hash';
+    hashCell.textContent = r.sha256 ? r.sha256.slice(0, 12) + '…' + r.sha256.slice(-6) : '—';
+    if (r.sha256) hashCell.title = r.sha256;
+
+    const statusCell = document.createElement('td');
+    statusCell.className = 'cell-status ' + (r.status === 'verified' ? 'match' : r.status === 'superseded' ? 'superseded' : 'mismatch');
+    statusCell.textContent = STATUS_LABELS[r.status];
+    if (r.error) {
+      const note = document.createElement('div');
+      note.className = 'cell-sub';
+      note.textContent = r.error;
+      statusCell.appendChild(note);
+    }
+    if (r.supersededBy) {
+      const note = document.createElement('div');
+      note.className = 'cell-sub';
+      note.textContent = 'Authentic but superseded by v' + r.supersededBy.version + ' (' + formatDay(r.supersededBy.released) + ')';
+      statusCell.appendChild(note);
+    }
+
+    row.append(fileCell, hashCell, statusCell);
+    resultsBody.appendChild(row);
+  }
+
+  const verified = results.filter(r => r.status === 'verified').length;
+  const superseded = results.filter(r => r.status === 'superseded').length;
+  resultsSummary.textContent = manifest.status === 'verified'
+    ? verified + ' of ' + results.length + ' file' + (results.length === 1 ? '' : 's') + ' match published checksums' +
+      (superseded ? '; ' + superseded + ' authentic but superseded.' : '.')
+    : 'Not verified — ' + MANIFEST_MESSAGES[manifest.status];
+
+  const missing = missingArtifacts();
+  missingEl.replaceChildren();
+  if (manifest.status === 'verified') {
+    const heading = document.createElement('div');
+    heading.className = 'missing-title';
+    heading.textContent = missing.length
+      ? 'Published documents not yet verified (' + missing.length + ')'
+      : 'All published documents verified.';
+    missingEl.appendChild(heading);
+    for (const name of missing) {
+      const item = document.createElement('div');
+      item.textContent = name;
+      missingEl.appendChild(item);
+    }
+  }
+}
+
+// ── Verification report export ─────────────────────────────
+function buildReport() {
+  return {
+    report: 'Loggie Document Verification',
+    generatedAt: new Date().toISOString(),
+    manifest: {
+      url: new URL(MANIFEST_URL, location.href).href,
+      signatureStatus: manifest.status,
+      version: manifest.version,
+      generated: manifest.generated,
+      signer: manifest.signer,
+      keyId: manifest.keyId,
+      registry: registry.status,
+    },
+    summary: {
+      files: results.length,
+      verified: results.filter(r => r.status === 'verified').length,
+      superseded: results.filter(r => r.status === 'superseded').length,
+      noMatch: results.filter(r => r.status === 'no-match').length,
+      errors: results.filter(r => r.status === 'error').length,
+    },
+    files: results.map(r => ({ ...r })),
+    missing: missingArtifacts(),
+  };
+}
+
+function download(ext, type, body) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const url = URL.createObjectURL(new Blob([body], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'loggie-verification-' + stamp + '.' + ext;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
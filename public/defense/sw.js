@@ -0,0 +1,396 @@
+// Generated by source/build-sw.mjs from source/sw.js — edit that and rebuild.
+(() => {
+  // public/assets/js/sha256.js
+  var K = new Uint32Array([
+    1116352408,
+    1899447441,
+    3049323471,
+    3921009573,
+    961987163,
+    1508970993,
+    2453635748,
+    2870763221,
+    3624381080,
+    310598401,
+    607225278,
+    1426881987,
+    1925078388,
+    2162078206,
+    2614888103,
+    3248222580,
+    3835390401,
+    4022224774,
+    264347078,
+    604807628,
+    770255983,
+    1249150122,
+    1555081692,
+    1996064986,
+    2554220882,
+    2821834349,
+    2952996808,
+    3210313671,
+    3336571891,
+    3584528711,
+    113926993,
+    338241895,
+    666307205,
+    773529912,
+    1294757372,
+    1396182291,
+    1695183700,
+    1986661051,
+    2177026350,
+    2456956037,
+    2730485921,
+    2820302411,
+    3259730800,
+    3345764771,
+    3516065817,
+    3600352804,
+    4094571909,
+    275423344,
+    430227734,
+    506948616,
+    659060556,
+    883997877,
+    958139571,
+    1322822218,
+    1537002063,
+    1747873779,
+    1955562222,
+    2024104815,
+    2227730452,
+    2361852424,
+    2428436474,
+    2756734187,
+    3204031479,
+    3329325298
+  ]);
+  var CHUNK_SIZE = 4 * 1024 * 1024;
+  var STREAM_THRESHOLD = 32 * 1024 * 1024;
+  function hexEncode(buffer) {
+    return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+  function hexDecode(hex) {
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+
+  // public/assets/js/manifest.js
+  var TRUSTED_KEYS = {
+    "b41c9a2d60866207": {
+      signer: "Loggie Labs Release Signing",
+      publicKeyHex: "f1cc7bd174ded5c8ec33e54821b20d053ed16e0e32791136c6df165dac1d13c5"
+    }
+  };
+  var MANIFEST_URL = "/defense/sha/checksums.txt";
+  var SIGNATURE_URL = "/defense/sha/checksums.txt.sig";
+  async function readManifest(bytes, sigText) {
+    const text = new TextDecoder().decode(bytes);
+    const header = (name) => {
+      const m = text.match(new RegExp("^#\\s*" + name + ":\\s*(.+)$", "m"));
+      return m ? m[1].trim() : null;
+    };
+    const manifest = {
+      status: "unsigned",
+      version: header("Version"),
+      generated: header("Generated"),
+      signer: null,
+      keyId: header("Key-Id"),
+      entries: []
+    };
+    const trusted = manifest.keyId && TRUSTED_KEYS[manifest.keyId];
+    if (!sigText) {
+      manifest.status = "unsigned";
+    } else if (!trusted) {
+      manifest.status = "untrusted";
+    } else {
+      try {
+        const key = await crypto.subtle.importKey("raw", hexDecode(trusted.publicKeyHex), { name: "Ed25519" }, false, ["verify"]);
+        const sig = Uint8Array.from(atob(sigText), (c) => c.charCodeAt(0));
+        const ok = await crypto.subtle.verify({ name: "Ed25519" }, key, sig, bytes);
+        manifest.status = ok ? "verified" : "invalid";
+        if (ok) manifest.signer = trusted.signer;
+      } catch (err) {
+        manifest.status = err && err.name === "NotSupportedError" ? "unsupported" : "invalid";
+      }
+    }
+    for (const line of text.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) continue;
+      const match = trimmed.match(/^([0-9a-f]{64})\s{2}(.+)$/);
+      if (match) manifest.entries.push({ sha256: match[1], name: match[2] });
+    }
+    return manifest;
+  }
+
+  // public/assets/js/registry.js
+  var REGISTRY_URL = "/defense/sha/registry.json";
+
+  // source/sw.js
+  var CACHE_PREFIX = "loggie-offline-";
+  var STATUS_PATH = "/defense/offline-status.json";
+  var PAGES = ["/defense/", "/defense/presenter/", "/defense/verify/"];
+  var EXTRA = ["/defense/assets/notes.json", "/defense/manifest.webmanifest", MANIFEST_URL, SIGNATURE_URL, REGISTRY_URL];
+  var OPTIONAL = /* @__PURE__ */ new Set([SIGNATURE_URL, REGISTRY_URL]);
+  var PRECACHE = /^\/(assets|defense)\//;
+  var DOCUMENT = /^\/defense\/assets\/(docs|slides)\/([^/]+)$/;
+  var HTML_REF = /\b(?:src|href)="([^"#][^"]*)"/g;
+  var JS_IMPORT = /\b(?:from|import)\s*\(?\s*['"]([^'"]+)['"]/g;
+  var building = null;
+  var progress = null;
+  var lastError = null;
+  async function sha256Hex(bytes) {
+    return hexEncode(await crypto.subtle.digest("SHA-256", bytes));
+  }
+  async function fetchFresh(url) {
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) throw new Error(url + " returned " + res.status);
+    return res;
+  }
+  async function fetchListed(path) {
+    if (!OPTIONAL.has(path)) return fetchFresh(path);
+    const res = await fetch(path, { cache: "no-store" });
+    return res.ok ? res : null;
+  }
+  function documentName(pathname) {
+    const m = DOCUMENT.exec(pathname);
+    return m ? decodeURIComponent(m[2]) : null;
+  }
+  async function currentCache() {
+    const names = (await caches.keys()).filter((n) => n.startsWith(CACHE_PREFIX)).sort().reverse();
+    for (const name of names) {
+      const cache = await caches.open(name);
+      const res = await cache.match(STATUS_PATH);
+      if (res) return { name, cache, status: await res.json() };
+    }
+    return null;
+  }
+  async function saveStatus(cache, status) {
+    await cache.put(STATUS_PATH, new Response(JSON.stringify(status), { headers: { "Content-Type": "application/json" } }));
+  }
+  async function snapshot() {
+    const current = await currentCache();
+    if (!current) {
+      return { type: "offline-status", state: building ? "saving" : "none", progress, error: lastError };
+    }
+    const { status } = current;
+    return {
+      type: "offline-status",
+      state: building ? "updating" : "ready",
+      progress,
+      error: lastError,
+      builtAt: status.builtAt,
+      checkedAt: status.checkedAt,
+      manifest: status.manifest,
+      documents: status.documents,
+      unlisted: status.unlisted.length,
+      failed: status.failed,
+      missing: status.missing || []
+    };
+  }
+  async function broadcast() {
+    const message = await snapshot();
+    for (const client of await self.clients.matchAll({ type: "window", includeUncontrolled: true })) {
+      client.postMessage(message);
+    }
+  }
+  function rebuild() {
+    if (!building) {
+      building = buildSnapshot().then(() => {
+        lastError = null;
+      }).catch((err) => {
+        lastError = err.message;
+        throw err;
+      }).finally(() => {
+        building = null;
+        progress = null;
+        broadcast();
+      });
+    }
+    return building;
+  }
+  async function buildSnapshot() {
+    const [mRes, sRes] = await Promise.all([fetchFresh(MANIFEST_URL), fetchListed(SIGNATURE_URL)]);
+    const manifestBytes = new Uint8Array(await mRes.arrayBuffer());
+    const manifest = await readManifest(manifestBytes, sRes ? (await sRes.text()).trim() : "");
+    const previous = await currentCache();
+    if (manifest.status === "invalid" || manifest.status === "untrusted") {
+      throw new Error("Published manifest signature is " + manifest.status);
+    }
+    if (manifest.status !== "verified" && previous && previous.status.manifest.status === "verified") {
+      throw new Error("Published manifest is " + manifest.status + " \u2014 keeping the verified copy");
+    }
+    const checksums = Object.fromEntries(manifest.entries.map((e) => [e.name, e.sha256]));
+    const status = {
+      builtAt: (/* @__PURE__ */ new Date()).toISOString(),
+      checkedAt: (/* @__PURE__ */ new Date()).toISOString(),
+      manifest: {
+        status: manifest.status,
+        version: manifest.version,
+        generated: manifest.generated,
+        signer: manifest.signer,
+        keyId: manifest.keyId,
+        sha256: await sha256Hex(manifestBytes)
+      },
+      checksums,
+      shell: {},
+      documents: 0,
+      unlisted: [],
+      failed: [],
+      missing: []
+    };
+    const name = CACHE_PREFIX + Date.now();
+    const cache = await caches.open(name);
+    const queue = [...PAGES, ...EXTRA];
+    const seen = new Set(queue);
+    progress = { done: 0, total: queue.length };
+    try {
+      while (queue.length) {
+        const path = queue.shift();
+        const docName = documentName(path);
+        const expected = docName && checksums[docName];
+        let res = null;
+        let bytes = null;
+        if (expected && previous) {
+          const old = await previous.cache.match(path);
+          const oldBytes = old && await old.arrayBuffer();
+          if (oldBytes && await sha256Hex(oldBytes) === expected) {
+            res = old;
+            bytes = oldBytes;
+          }
+        }
+        if (!res) {
+          try {
+            res = await fetchListed(path);
+          } catch {
+            status.missing.push(path);
+            progress.done++;
+            broadcast();
+            continue;
+          }
+          if (!res) {
+            status.shell[path] = null;
+            progress.done++;
+            broadcast();
+            continue;
+          }
+          bytes = await res.arrayBuffer();
+        }
+        const sha = await sha256Hex(bytes);
+        if (docName) {
+          if (!expected) status.unlisted.push(path);
+          else if (sha === expected) status.documents++;
+          else status.failed.push(path);
+        } else {
+          status.shell[path] = sha;
+        }
+        if (!status.failed.includes(path)) {
+          await cache.put(path, new Response(bytes, { status: res.status, headers: res.headers }));
+        }
+        const type = res.headers.get("Content-Type") || "";
+        const refs = type.includes("html") ? HTML_REF : type.includes("javascript") ? JS_IMPORT : null;
+        if (refs) {
+          const text = new TextDecoder().decode(bytes);
+          for (const m of text.matchAll(refs)) {
+            const url = new URL(m[1], self.location.origin + path);
+            if (url.origin !== self.location.origin || !PRECACHE.test(url.pathname) || seen.has(url.pathname)) continue;
+            seen.add(url.pathname);
+            queue.push(url.pathname);
+            progress.total++;
+          }
+        }
+        progress.done++;
+        broadcast();
+      }
+      await saveStatus(cache, status);
+    } catch (err) {
+      await caches.delete(name);
+      throw err;
+    }
+    for (const old of await caches.keys()) {
+      if (old.startsWith(CACHE_PREFIX) && old !== name) await caches.delete(old);
+    }
+  }
+  async function checkForUpdate() {
+    const current = await currentCache();
+    if (!current) return rebuild();
+    try {
+      const res = await fetchFresh(MANIFEST_URL);
+      let changed = current.status.failed.length > 0 || (current.status.missing || []).length > 0 || await sha256Hex(await res.arrayBuffer()) !== current.status.manifest.sha256;
+      for (const [path, sha] of Object.entries(current.status.shell)) {
+        if (changed) break;
+        const shell = await fetchListed(path);
+        changed = (shell ? await sha256Hex(await shell.arrayBuffer()) : null) !== sha;
+      }
+      if (changed) return await rebuild();
+      current.status.checkedAt = (/* @__PURE__ */ new Date()).toISOString();
+      await saveStatus(current.cache, current.status);
+      lastError = null;
+    } catch {
+    }
+    broadcast();
+  }
+  async function markFailed(current, path) {
+    if (!current.status.failed.includes(path)) current.status.failed.push(path);
+    await saveStatus(current.cache, current.status);
+    broadcast();
+  }
+  async function fromCache(request, url) {
+    const current = await currentCache();
+    const cached = current && await current.cache.match(request, { ignoreSearch: true });
+    if (!cached) return fetch(request);
+    const docName = documentName(url.pathname);
+    const expected = docName && current.status.checksums[docName];
+    if (!expected) return cached;
+    const bytes = await cached.arrayBuffer();
+    if (await sha256Hex(bytes) === expected) {
+      return new Response(bytes, { status: cached.status, headers: cached.headers });
+    }
+    await current.cache.delete(request, { ignoreSearch: true });
+    await markFailed(current, url.pathname);
+    try {
+      return await fetch(request);
+    } catch {
+      return new Response("This offline copy failed verification against checksums.txt and was removed.", {
+        status: 502,
+        headers: { "Content-Type": "text/plain; charset=utf-8" }
+      });
+    }
+  }
+  async function manifestFirst(event) {
+    try {
+      const res = await fetch(event.request, { cache: "no-store" });
+      if (res.ok) return res;
+    } catch {
+    }
+    const current = await currentCache();
+    const cached = current && await current.cache.match(event.request, { ignoreSearch: true });
+    return cached || Response.error();
+  }
+  self.addEventListener("install", (event) => {
+    event.waitUntil(rebuild().catch(() => {
+    }).then(() => self.skipWaiting()));
+  });
+  self.addEventListener("activate", (event) => {
+    event.waitUntil(self.clients.claim().then(broadcast));
+  });
+  self.addEventListener("fetch", (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== "GET" || url.origin !== self.location.origin) return;
+    if (!PAGES.includes(url.pathname) && !PRECACHE.test(url.pathname)) return;
+    if (url.pathname === MANIFEST_URL || url.pathname === SIGNATURE_URL || url.pathname === REGISTRY_URL) {
+      event.respondWith(manifestFirst(event));
+    } else {
+      event.respondWith(fromCache(event.request, url));
+    }
+  });
+  self.addEventListener("message", (event) => {
+    const type = event.data && event.data.type;
+    if (type === "check") event.waitUntil(checkForUpdate().catch(() => {
+    }));
+    else if (type === "status") event.waitUntil(broadcast());
+  });
+})();
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * Offline _headers / CSP auditor for public/.
+ *
+ * Works out the effective headers for every file under public/ from
+ * public/_headers, then statically checks each HTML page — and every
+ * script it loads, following static and dynamic imports — against the
+ * Content-Security-Policy that page is served with:
+ *
+ *   inline-script     <script> bodies need script-src 'unsafe-inline'
+ *   inline-handler    on*= attributes and javascript: URLs, likewise
+ *   script-origin     <script src>, modulepreload and import() targets
+ *   style-origin      <link rel="stylesheet">, and inline <style>/style=
+ *   img-origin        <img src>
+ *   connect-origin    fetch(), EventSource, WebSocket and endpoint: targets;
+ *                     targets computed at runtime are listed as warnings
+ *   unsafe-eval       'unsafe-eval' / 'wasm-unsafe-eval' anywhere in script-src
+ *   content-type      no _headers rule serves a .js file as a non-script type
+ *   bundle            intake-client.js stays WASM-free (no WebAssembly API,
+ *                     no static pqc-shared import, no chunks/ directory)
+ *
+ * Runs before deploy — nothing is fetched. Prints a JSON report on stdout
+ * and a human summary on stderr; exits 1 if any check is an error.
+ *
+ * Run: node source/audit-csp.mjs [--origin https://defense.loggielabs.com]
+ */
+import { fileURLToPath } from 'url';
+import { dirname, resolve, relative, sep } from 'path';
+import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { parseHeadersFile, headersFor } from './headers-file.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, '..');
+const publicDir = resolve(root, 'public');
+
+const originIdx = process.argv.indexOf('--origin');
+const ORIGIN = originIdx !== -1 ? process.argv[originIdx + 1] : 'https://defense.loggielabs.com';
+
+// ── Files and URL paths ─────────────────────────────────────
+function walk(dir, out = []) {
+  for (const name of readdirSync(dir)) {
+    const p = resolve(dir, name);
+    if (statSync(p).isDirectory()) walk(p, out);
+    else out.push(p);
+  }
+  return out;
+}
+
+/* public/defense/index.html is requested as /defense/ */
+function urlPathFor(file) {
+  const rel = '/' + relative(publicDir, file).split(sep).join('/');
+  return rel.endsWith('/index.html') ? rel.slice(0, -'index.html'.length) : rel;
+}
+
+function fileForUrl(url) {
+  if (!url.startsWith(ORIGIN + '/')) return null;
+  let p = decodeURIComponent(new URL(url).pathname);
+  if (p.endsWith('/')) p += 'index.html';
+  const file = resolve(publicDir, '.' + p);
+  return file.startsWith(publicDir + sep) && existsSync(file) ? file : null;
+}
+
+// ── CSP model ───────────────────────────────────────────────
+// A header value may hold several comma-separated policies (a repeated
+// header is joined that way); the browser enforces every one of them.
+function parseCsp(value) {
+  return value.split(',').filter(p => p.trim()).map((policy) => {
+    const directives = new Map();
+    for (const part of policy.split(';')) {
+      const [name, ...sources] = part.trim().split(/\s+/);
+      if (name && !directives.has(name.toLowerCase())) directives.set(name.toLowerCase(), sources);
+    }
+    return directives;
+  });
+}
+
+/* Per policy: fetch directives fall back to default-src; null means unrestricted */
+function sourcesFor(policies, directive) {
+  return policies.map(csp => csp.get(directive) || csp.get('default-src') || null);
+}
+
+function sourceMatches(source, url) {
+  const s = source.toLowerCase();
+  if (s === "'self'") return url.origin === ORIGIN;
+  if (s === '*') return /^(https?|wss?):$/.test(url.protocol);
+  if (/^[a-z][a-z0-9+.-]*:$/.test(s)) return url.protocol === s;
+  if (s.startsWith("'")) return false;
+
+  const m = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?([^/:]+)(?::(\d+|\*))?(\/.*)?$/.exec(s);
+  if (!m) return false;
+  const [, scheme, wildcard, host, port, path] = m;
+  if (scheme && url.protocol !== scheme + ':') return false;
+  if (!scheme && url.protocol !== new URL(ORIGIN).protocol) return false;
+  const hostOk = wildcard ? url.hostname.endsWith('.' + host) : url.hostname === host;
+  if (!hostOk) return false;
+  if (port && port !== '*' && url.port !== port) return false;
+  if (path) return path.endsWith('/') ? url.pathname.startsWith(path) : url.pathname === path;
+  return true;
+}
+
+function allows(policies, url) {
+  return policies.every(sources => sources === null || sources.some(s => sourceMatches(s, url)));
+}
+
+function allowsKeyword(policies, keyword) {
+  return policies.every(sources => sources === null || sources.includes(keyword));
+}
+
+/* Whether any policy lists the keyword itself, not just leaves it unrestricted */
+function listsKeyword(policies, keyword) {
+  return policies.some(sources => sources !== null && sources.includes(keyword));
+}
+
+function restricts(policies) {
+  return policies.some(sources => sources !== null);
+}
+
+// ── HTML scanning ───────────────────────────────────────────
+function attrs(tag) {
+  const out = {};
+  for (const m of tag.matchAll(/([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+    out[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  }
+  return out;
+}
+
+function scanHtml(html) {
+  const doc = html.replace(/<!--[\s\S]*?-->/g, '');
+  const result = { scripts: [], inlineScripts: 0, handlers: [], jsUrls: 0, inlineStyles: 0, stylesheets: [], images: [] };
+
+  for (const m of doc.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi)) {
+    const a = attrs(m[1]);
+    if (a.src !== undefined) result.scripts.push(a.src);
+    else if (m[2].trim()) result.inlineScripts++;
+  }
+
+  const tags = [...doc.matchAll(/<([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^>]*?)?)\s*\/?>/g)];
+  for (const [, name, rest] of tags) {
+    const a = attrs(rest);
+    for (const key of Object.keys(a)) {
+      if (/^on[a-z]+$/.test(key)) result.handlers.push(`<${name} ${key}>`);
+    }
+    if (/^\s*javascript:/i.test(a.href || '') || /^\s*javascript:/i.test(a.src || '')) result.jsUrls++;
+    if (a.style !== undefined) result.inlineStyles++;
+
+    const tag = name.toLowerCase();
+    const rel = (a.rel || '').toLowerCase().split(/\s+/);
+    if (tag === 'link' && rel.includes('stylesheet')) result.stylesheets.push(a.href);
+    if (tag === 'link' && rel.includes('modulepreload')) result.scripts.push(a.href);
+    if (tag === 'img' && a.src) result.images.push(a.src);
+  }
+
+  result.inlineStyles += (doc.match(/<style\b/gi) || []).length;
+  return result;
+}
+
+// ── JS scanning ─────────────────────────────────────────────
+function stringConsts(code) {
+  const consts = new Map();
+  for (const m of code.matchAll(/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(['"`])([^'"`]*)\2/g)) {
+    consts.set(m[1], m[3]);
+  }
+  return consts;
+}
+
+function scanJs(code) {
+  const consts = stringConsts(code);
+  const imports = [];
+  const dynamicImports = [];
+  const connects = [];
+  const unresolved = [];
+
+  for (const m of code.matchAll(/(?:^|[;\s}])(?:import|export)\s*(?:[^'"`;]*?\sfrom\s*)?(['"])([^'"]+)\1/gm)) imports.push(m[2]);
+  for (const m of code.matchAll(/\bimport\(\s*(['"`])([^'"`]+)\1\s*\)/g)) dynamicImports.push(m[2]);
+  // A registered service worker is script too, and its fetches are checked like the page's
+  for (const m of code.matchAll(/\bserviceWorker\.register\(\s*(?:(['"`])([^'"`]+)\1|([A-Za-z_$][\w$]*))/g)) {
+    const target = m[2] ?? consts.get(m[3]);
+    if (target) dynamicImports.push(target);
+  }
+
+  const callTargets = /\b(fetch|new\s+EventSource|new\s+WebSocket)\(\s*(?:(['"`])([^'"`]*)\2|([A-Za-z_$][\w$.]*(?:\([^()]*\))?))/g;
+  for (const m of code.matchAll(callTargets)) {
+    if (m[3] !== undefined) connects.push(m[3]);
+    else if (consts.has(m[4])) connects.push(consts.get(m[4]));
+    else unresolved.push(`${m[1].replace(/\s+/, ' ')}(${m[4]})`);
+  }
+  // Config objects hand their endpoint to a client that fetches it
+  for (const m of code.matchAll(/\bendpoint\s*:\s*(['"`])([^'"`]+)\1/g)) connects.push(m[2]);
+
+  return { imports, dynamicImports, connects, unresolved };
+}
+
+// ── Audit ───────────────────────────────────────────────────
+const headerRules = parseHeadersFile(readFileSync(resolve(publicDir, '_headers'), 'utf8'));
+const files = walk(publicDir).filter(f => !/\/_(headers|redirects)$/.test(f)).sort();
+
+const findings = [];
+const report = { tool: 'audit-csp', origin: ORIGIN, files: [], pages: [], findings, summary: null };
+
+function find(severity, page, check, message, source) {
+  findings.push({ severity, page, check, message, ...(source ? { source } : {}) });
+}
+
+const rel = f => relative(root, f).split(sep).join('/');
+
+for (const file of files) {
+  const path = urlPathFor(file);
+  const headers = {};
+  for (const { name, value } of headersFor(headerRules, path).values()) headers[name] = value;
+  report.files.push({ path, file: rel(file), headers });
+
+  // With nosniff, a module served as anything but JavaScript is refused
+  const type = headers['Content-Type'];
+  if (/\.m?js$/.test(file) && type && !/javascript/i.test(type)) {
+    find('error', path, 'content-type', `_headers serves a script as ${type}`);
+  }
+}
+
+for (const entry of report.files.filter(f => f.file.endsWith('.html'))) {
+  const page = entry.path;
+  const pageUrl = new URL(page, ORIGIN);
+  const cspValue = entry.headers['Content-Security-Policy'];
+  const csp = cspValue ? parseCsp(cspValue) : [];
+  const scriptSrc = sourcesFor(csp, 'script-src');
+  const styleSrc = sourcesFor(csp, 'style-src');
+  const imgSrc = sourcesFor(csp, 'img-src');
+  const connectSrc = sourcesFor(csp, 'connect-src');
+
+  if (!csp.length) find('warning', page, 'csp', 'No Content-Security-Policy header');
+
+  for (const keyword of ["'unsafe-eval'", "'wasm-unsafe-eval'"]) {
+    if (listsKeyword(scriptSrc, keyword)) find('error', page, 'unsafe-eval', `script-src allows ${keyword}`);
+  }
+
+  const html = scanHtml(readFileSync(resolve(root, entry.file), 'utf8'));
+  const pageReport = { path: page, file: entry.file, csp: cspValue || null, scripts: [], connect: [], unresolved: [] };
+
+  // Inline code
+  if (html.inlineScripts && !allowsKeyword(scriptSrc, "'unsafe-inline'")) {
+    find('error', page, 'inline-script', `${html.inlineScripts} inline <script> blocked by script-src`);
+  }
+  if ((html.handlers.length || html.jsUrls) && !allowsKeyword(scriptSrc, "'unsafe-inline'")) {
+    const what = html.handlers.slice(0, 5).join(', ') + (html.jsUrls ? ` + ${html.jsUrls} javascript: URL(s)` : '');
+    find('error', page, 'inline-handler', `Inline event handlers blocked by script-src: ${what}`);
+  }
+  if (listsKeyword(scriptSrc, "'unsafe-inline'") && !html.inlineScripts && !html.handlers.length && !html.jsUrls) {
+    find('warning', page, 'inline-script', "script-src allows 'unsafe-inline' but the page has no inline code — drop it");
+  }
+  if (html.inlineStyles && !allowsKeyword(styleSrc, "'unsafe-inline'")) {
+    find('error', page, 'style-origin', `${html.inlineStyles} inline style(s) blocked by style-src`);
+  }
+
+  for (const href of html.stylesheets) {
+    const url = new URL(href, pageUrl);
+    if (!allows(styleSrc, url)) find('error', page, 'style-origin', `Stylesheet ${url.href} not allowed by style-src`);
+  }
+  for (const src of html.images) {
+    const url = new URL(src, pageUrl);
+    if (!allows(imgSrc, url)) find('error', page, 'img-origin', `Image ${url.href} not allowed by img-src`);
+  }
+
+  // Scripts, following the module graph
+  const queue = html.scripts.map(src => ({ url: new URL(src, pageUrl), from: entry.file }));
+  const seen = new Set();
+
+  while (queue.length) {
+    const { url, from } = queue.shift();
+    if (seen.has(url.href)) continue;
+    seen.add(url.href);
+
+    if (!allows(scriptSrc, url)) {
+      find('error', page, 'script-origin', `Script ${url.href} not allowed by script-src`, from);
+      continue;
+    }
+    const file = fileForUrl(url.href);
+    if (!file) {
+      if (url.origin === ORIGIN) find('error', page, 'script-origin', `Script ${url.pathname} does not exist under public/`, from);
+      continue;
+    }
+
+    const source = rel(file);
+    pageReport.scripts.push(source);
+    const js = scanJs(readFileSync(file, 'utf8'));
+
+    for (const spec of [...js.imports, ...js.dynamicImports]) {
+      // Bare specifiers (e.g. the external pqc-shared) never resolve in a browser
+      if (!/^(\.{0,2}\/|https?:)/.test(spec)) continue;
+      queue.push({ url: new URL(spec, url), from: source });
+    }
+
+    for (const target of js.connects) {
+      const targetUrl = new URL(target, pageUrl);
+      pageReport.connect.push({ url: targetUrl.href, source });
+      if (!allows(connectSrc, targetUrl)) {
+        find('error', page, 'connect-origin', `${targetUrl.origin} (${targetUrl.href}) not allowed by connect-src`, source);
+      }
+    }
+    // Only a restrictive connect-src can block these, so only then are they worth a look
+    for (const call of new Set(js.unresolved)) {
+      pageReport.unresolved.push({ call, source });
+      if (restricts(connectSrc)) find('warning', page, 'connect-origin', `${call} target is computed at runtime — check it against connect-src by hand`, source);
+    }
+  }
+
+  report.pages.push(pageReport);
+}
+
+// ── intake-client.js bundle ─────────────────────────────────
+// Carried over from the old curl smoke test: the strict /intake/ CSP
+// only holds if the bundle never reaches for WebAssembly.
+const bundlePath = resolve(publicDir, 'assets', 'js', 'intake-client.js');
+if (existsSync(bundlePath)) {
+  const bundle = readFileSync(bundlePath, 'utf8');
+  if (/WebAssembly\s*\./.test(bundle)) find('error', '/intake/', 'bundle', 'intake-client.js calls the WebAssembly API', rel(bundlePath));
+  if (/from\s*["']@omnituum\/pqc-shared/.test(bundle)) find('error', '/intake/', 'bundle', 'intake-client.js statically imports pqc-shared', rel(bundlePath));
+  if (/import\(\s*["']\.\/chunks\//.test(bundle)) find('error', '/intake/', 'bundle', 'intake-client.js imports relative chunks — pqc-shared should be external', rel(bundlePath));
+}
+if (existsSync(resolve(publicDir, 'assets', 'js', 'chunks'))) {
+  find('error', '/intake/', 'bundle', 'public/assets/js/chunks/ exists — stale WASM chunks would deploy');
+}
+
+// ── Report ──────────────────────────────────────────────────
+const errors = findings.filter(f => f.severity === 'error').length;
+report.summary = { files: report.files.length, pages: report.pages.length, errors, warnings: findings.length - errors };
+
+console.log(JSON.stringify(report, null, 2));
+
+console.error(`CSP audit: ${report.pages.length} pages, ${report.files.length} files (origin ${ORIGIN})`);
+console.error('──────────────────────────────────');
+for (const p of report.pages) {
+  const mine = findings.filter(f => f.page === p.path);
+  console.error(`${mine.some(f => f.severity === 'error') ? '✘' : '✓'} ${p.path}`);
+  for (const f of mine) console.error(`    ${f.severity === 'error' ? '✘' : '!'} [${f.check}] ${f.message}${f.source ? ` (${f.source})` : ''}`);
+}
+for (const f of findings.filter(f => !report.pages.some(p => p.path === f.page))) {
+  console.error(`  ${f.severity === 'error' ? '✘' : '!'} [${f.check}] ${f.message}`);
+}
+console.error('──────────────────────────────────');
+console.error(`${errors} error(s), ${report.summary.warnings} warning(s)`);
+
+process.exit(errors ? 1 : 0);
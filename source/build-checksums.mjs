@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Generates and signs the published checksum manifest.
+ *
+ * Hashes every document under public/defense/assets/docs, every slide
+ * PNG and the release deck PDF, then writes public/defense/sha/checksums.txt
+ * (sha256sum-compatible lines under a versioned header) and a detached
+ * Ed25519 signature beside it as checksums.txt.sig.
+ *
+ * Every PDF must be listed in public/defense/sha/registry.json. A PDF whose
+ * hash differs from its latest registered version is recorded as the next
+ * version, released today; going back to an earlier version's bytes is
+ * refused. The registry is listed in the manifest as registry.json, so the
+ * signature covers it too, and build-documents.mjs then re-renders the
+ * pages that show versions and hashes.
+ *
+ * verify.js refuses to report any match until that signature checks out
+ * against a key pinned in TRUSTED_KEYS — rewriting the manifest on the
+ * portal alone is no longer enough to make a tampered file "Verified".
+ *
+ * The signing key is a PKCS#8 PEM that never lives in this repo:
+ *
+ *   node source/build-checksums.mjs --keygen ~/.loggie/manifest-signing.pem
+ *     → writes a new key and prints the TRUSTED_KEYS entry to pin
+ *
+ *   LOGGIE_MANIFEST_KEY=~/.loggie/manifest-signing.pem node source/build-checksums.mjs
+ *     → regenerates and signs the manifest
+ *
+ * Works in a full Git LFS checkout or a pointer-only one: a pointer's
+ * oid is the SHA-256 of the content it stands for (git lfs pull checks
+ * exactly that), so it is used as the file's hash.
+ */
+import { fileURLToPath } from 'url';
+import { dirname, resolve, join } from 'path';
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'crypto';
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { readRegistry, writeRegistry, renderDocuments } from './build-documents.mjs';
+import { latestRelease } from '../public/assets/js/registry.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, '..');
+const shaDir = resolve(root, 'public', 'defense', 'sha');
+const manifestPath = resolve(shaDir, 'checksums.txt');
+const signaturePath = resolve(shaDir, 'checksums.txt.sig');
+
+const SIGNER = 'Loggie Labs Release Signing';
+const REGISTRY_NAME = 'registry.json';
+
+// Published artifacts, in manifest order. The deck PDF ships as a GitHub
+// release asset (see _redirects), so it is hashed from its source copy.
+const SOURCES = [
+  { dir: resolve(root, 'source', 'defense', 'Pitch_Deck'), match: /^loggie-defense-pitch-deck\.pdf$/ },
+  { dir: resolve(root, 'public', 'defense', 'assets', 'docs'), match: /\.pdf$/ },
+  { dir: resolve(root, 'public', 'defense', 'assets', 'slides'), match: /^defense-slide-\d+\.png$/ },
+];
+
+const LFS_POINTER = /^version https:\/\/git-lfs\.github\.com\/spec\/v1\n/;
+const LFS_OID = /^oid sha256:([0-9a-f]{64})$/m;
+
+// ── Key helpers ─────────────────────────────────────────────
+function rawPublicKeyHex(publicKey) {
+  const { x } = publicKey.export({ format: 'jwk' });
+  return Buffer.from(x, 'base64url').toString('hex');
+}
+
+function keyId(publicKeyHex) {
+  return createHash('sha256').update(Buffer.from(publicKeyHex, 'hex')).digest('hex').slice(0, 16);
+}
+
+function expandHome(p) {
+  return p.startsWith('~/') ? join(process.env.HOME || '', p.slice(2)) : p;
+}
+
+// ── --keygen <path> ─────────────────────────────────────────
+const keygenIdx = process.argv.indexOf('--keygen');
+if (keygenIdx !== -1) {
+  const out = process.argv[keygenIdx + 1];
+  if (!out) {
+    console.error('Usage: node source/build-checksums.mjs --keygen <path/to/key.pem>');
+    process.exit(1);
+  }
+  const keyPath = resolve(expandHome(out));
+  if (keyPath.startsWith(root)) {
+    console.error('🚫 Refusing to write the signing key inside the repository.');
+    process.exit(1);
+  }
+  if (existsSync(keyPath)) {
+    console.error(`🚫 ${keyPath} already exists — not overwriting a signing key.`);
+    process.exit(1);
+  }
+  const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+  mkdirSync(dirname(keyPath), { recursive: true });
+  writeFileSync(keyPath, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+  const hex = rawPublicKeyHex(publicKey);
+  console.log(`  Signing key written to ${keyPath}\n`);
+  console.log('  Pin in public/assets/js/manifest.js → TRUSTED_KEYS:\n');
+  console.log(`  '${keyId(hex)}': {`);
+  console.log(`    signer: '${SIGNER}',`);
+  console.log(`    publicKeyHex: '${hex}',`);
+  console.log('  },');
+  process.exit(0);
+}
+
+// ── Load signing key ────────────────────────────────────────
+const keyEnv = process.env.LOGGIE_MANIFEST_KEY;
+if (!keyEnv) {
+  console.error('🚫 LOGGIE_MANIFEST_KEY is not set (path to the Ed25519 PKCS#8 PEM).');
+  process.exit(1);
+}
+const privateKey = createPrivateKey(readFileSync(resolve(expandHome(keyEnv))));
+if (privateKey.asymmetricKeyType !== 'ed25519') {
+  console.error(`🚫 Signing key is ${privateKey.asymmetricKeyType}, expected ed25519.`);
+  process.exit(1);
+}
+const publicKey = createPublicKey(privateKey);
+const signerKeyId = keyId(rawPublicKeyHex(publicKey));
+
+// ── Hash artifacts ──────────────────────────────────────────
+const entries = [];
+const seen = new Set();
+
+for (const { dir, match } of SOURCES) {
+  const names = readdirSync(dir)
+    .filter(n => match.test(n))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+
+  for (const name of names) {
+    const bytes = readFileSync(resolve(dir, name));
+    let hex = null;
+    if (LFS_POINTER.test(bytes.subarray(0, 64).toString('latin1'))) {
+      const oid = LFS_OID.exec(bytes.toString('latin1'));
+      if (!oid) {
+        console.error(`🚫 ${name} is a Git LFS pointer without a sha256 oid — run \`git lfs pull\` first.`);
+        process.exit(1);
+      }
+      hex = oid[1];
+    }
+    if (seen.has(name)) {
+      console.error(`🚫 Duplicate artifact name ${name} — manifest names must be unique.`);
+      process.exit(1);
+    }
+    seen.add(name);
+    entries.push({ hex: hex || createHash('sha256').update(bytes).digest('hex'), name });
+  }
+}
+
+// ── Record releases ─────────────────────────────────────────
+const registry = readRegistry();
+const byFile = new Map(registry.artifacts.map(a => [a.file, a]));
+const released = new Date().toISOString().slice(0, 10);
+const problems = [];
+const releases = [];
+
+for (const { hex, name } of entries) {
+  const artifact = byFile.get(name);
+  if (!artifact) {
+    if (name.endsWith('.pdf')) problems.push(`${name} is not in registry.json — add an artifact for it`);
+    continue;
+  }
+  byFile.delete(name);
+  const latest = latestRelease(artifact);
+  if (latest.sha256 === hex) continue;
+  const earlier = artifact.versions.find(v => v.sha256 === hex);
+  if (earlier) {
+    problems.push(`${name} matches v${earlier.version}, which v${latest.version} superseded — re-release it as a new file`);
+    continue;
+  }
+  artifact.versions.push({ version: latest.version + 1, released, sha256: hex });
+  releases.push(`${name} → v${latest.version + 1}`);
+}
+for (const name of byFile.keys()) {
+  problems.push(`registry.json lists ${name}, which was not found`);
+}
+
+if (problems.length) {
+  console.error('\n🚫 REGISTRY OUT OF STEP — manifest not written:\n');
+  problems.forEach(p => console.error(`  ✘ ${p}`));
+  console.error('');
+  process.exit(1);
+}
+
+const registryText = JSON.stringify(registry, null, 2) + '\n';
+entries.push({ hex: createHash('sha256').update(registryText).digest('hex'), name: REGISTRY_NAME });
+
+// ── Write manifest ──────────────────────────────────────────
+let version = 1;
+if (existsSync(manifestPath)) {
+  const prev = readFileSync(manifestPath, 'utf8').match(/^# Version:\s*(\d+)$/m);
+  if (prev) version = Number(prev[1]) + 1;
+}
+
+const generated = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const manifest = [
+  '# Loggie Defense Portal — Published Document Checksums',
+  '# Algorithm: SHA-256',
+  `# Version: ${version}`,
+  `# Generated: ${generated}`,
+  `# Signer: ${SIGNER}`,
+  `# Key-Id: ${signerKeyId}`,
+  '# Signature: Ed25519, detached — checksums.txt.sig',
+  '',
+  ...entries.map(e => `${e.hex}  ${e.name}`),
+  '',
+].join('\n');
+
+const signature = sign(null, Buffer.from(manifest, 'utf8'), privateKey);
+
+// Self-check before publishing: the detached signature must verify
+if (!verify(null, Buffer.from(manifest, 'utf8'), publicKey, signature)) {
+  console.error('🚫 Signature self-check failed — manifest not written.');
+  process.exit(1);
+}
+
+let pages;
+try {
+  pages = renderDocuments(registry);
+} catch (err) {
+  console.error(`🚫 ${err.message} — manifest not written.`);
+  process.exit(1);
+}
+
+writeFileSync(manifestPath, manifest);
+writeFileSync(signaturePath, signature.toString('base64') + '\n');
+writeRegistry(registry);
+for (const page of pages) writeFileSync(page.file, page.text);
+
+console.log(`  checksums.txt      v${version}  ${entries.length} artifacts`);
+console.log(`  checksums.txt.sig  Ed25519  key ${signerKeyId}`);
+releases.forEach(r => console.log(`  registry.json      ${r}`));
+console.log(`\n✓ Manifest signed ${generated}`);
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Generates every text rendering of the deck from
+ * "Loggie Defense Pitch Deck Master.txt":
+ *
+ *   public/defense/assets/notes.json   speaker notes for presenter.js
+ *   public/defense/index.html          real alt text on each slide <img>,
+ *                                      and the text transcript between the
+ *                                      transcript:start / transcript:end markers
+ *
+ * The slides are image-only, so this is what screen readers and text-only
+ * reviewers get. Editorial asides in parentheses are left out.
+ *
+ * Fails if the Master text, the slide PNGs and the deck's .slide elements
+ * disagree on slide count — a slide added on one side only would silently
+ * put the wrong words on the wrong image.
+ *
+ * Run: node source/build-deck-text.mjs
+ */
+import { fileURLToPath } from 'url';
+import { dirname, resolve, basename } from 'path';
+import { readFileSync, writeFileSync, readdirSync } from 'fs';
+import { MASTER_PATH, readMaster } from './deck-master.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, '..');
+const deckDir = resolve(root, 'public', 'defense');
+const notesPath = resolve(deckDir, 'assets', 'notes.json');
+const slidesDir = resolve(deckDir, 'assets', 'slides');
+const deckPath = resolve(deckDir, 'index.html');
+
+const SLIDE_IMG = /(<img src="\.\/assets\/slides\/defense-slide-(\d+)\.png" alt=")[^"]*(")/g;
+const TRANSCRIPT = /(<!-- transcript:start -->)[\s\S]*?(\n[ \t]*<!-- transcript:end -->)/;
+
+function fail(lines) {
+  console.error('\n🚫 DECK TEXT OUT OF STEP — build failed:\n');
+  lines.forEach(l => console.error(`  ✘ ${l}`));
+  console.error('');
+  process.exit(1);
+}
+
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/* Master paragraphs are often bare list items — end each as a sentence */
+function sentence(s) {
+  const flat = s.replace(/\n/g, ' ');
+  return /[.:!?”"]$/.test(flat) ? flat : flat + '.';
+}
+
+// ── Read sources ────────────────────────────────────────────
+let slides;
+try {
+  slides = readMaster();
+} catch (err) {
+  fail([err.message]);
+}
+
+const pngNumbers = readdirSync(slidesDir)
+  .map(n => /^defense-slide-(\d+)\.png$/.exec(n))
+  .filter(Boolean)
+  .map(m => Number(m[1]))
+  .sort((a, b) => a - b);
+
+let deckHtml = readFileSync(deckPath, 'utf8');
+const imgNumbers = [...deckHtml.matchAll(SLIDE_IMG)].map(m => Number(m[2]));
+
+// ── Slide count checks ──────────────────────────────────────
+const problems = [];
+const count = slides.length;
+
+if (pngNumbers.length !== count) {
+  problems.push(`Master text has ${count} slides, ${basename(slidesDir)}/ has ${pngNumbers.length} PNGs`);
+}
+pngNumbers.forEach((n, i) => {
+  if (n !== i + 1) problems.push(`Slide PNGs are not numbered 1..N: found defense-slide-${n}.png at position ${i + 1}`);
+});
+if (imgNumbers.length !== count) {
+  problems.push(`Master text has ${count} slides, index.html has ${imgNumbers.length} slide images`);
+}
+imgNumbers.forEach((n, i) => {
+  if (n !== i + 1) problems.push(`index.html slide ${i + 1} shows defense-slide-${n}.png`);
+});
+if (!TRANSCRIPT.test(deckHtml)) {
+  problems.push('index.html is missing the <!-- transcript:start --> / <!-- transcript:end --> markers');
+}
+
+if (problems.length) fail(problems);
+
+// ── Speaker notes ───────────────────────────────────────────
+const notes = {
+  source: basename(MASTER_PATH),
+  slides: slides.map(s => ({ title: s.title, notes: s.paragraphs })),
+};
+writeFileSync(notesPath, JSON.stringify(notes, null, 2) + '\n');
+
+// ── Alt text ────────────────────────────────────────────────
+deckHtml = deckHtml.replace(SLIDE_IMG, (_, open, n, close) => {
+  const s = slides[Number(n) - 1];
+  const alt = `Slide ${s.number} of ${count} — ${s.title}. ` + s.paragraphs.map(sentence).join(' ');
+  return open + escapeHtml(alt) + close;
+});
+
+// ── Transcript ──────────────────────────────────────────────
+const transcript = slides.map((s) => {
+  const paras = s.paragraphs.map(p => `      <p>${escapeHtml(p).replace(/\n/g, '<br/>')}</p>`);
+  return [
+    `    <article class="transcript-slide" id="slide-${s.number}-text" data-slide="${s.number - 1}">`,
+    `      <h2><a href="#/${s.number}">Slide ${s.number}</a> — ${escapeHtml(s.title)}</h2>`,
+    ...paras,
+    '    </article>',
+  ].join('\n');
+}).join('\n');
+
+deckHtml = deckHtml.replace(TRANSCRIPT, (_, start, end) => start + '\n' + transcript + end);
+writeFileSync(deckPath, deckHtml);
+
+console.log(`  notes.json        ${count} slides`);
+console.log(`  index.html        ${count} alt texts, transcript`);
+console.log('\n✓ Deck text in step with Master text');
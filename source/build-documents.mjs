@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Renders the published document list from the versioned registry,
+ * public/defense/sha/registry.json:
+ *
+ *   public/index.html          the deck card and the Supporting
+ *                              Documentation rows, between the
+ *                              registry:deck and registry:documents markers
+ *   public/defense/index.html  the deck release links and its SHA-256 line
+ *   public/_redirects          /defense/pdf → the current deck release
+ *
+ * build-checksums.mjs records new versions in the registry and runs this
+ * afterwards; run it by hand only after editing titles or URLs.
+ *
+ * Run: node source/build-documents.mjs [--check]
+ */
+import { fileURLToPath } from 'url';
+import { dirname, resolve, relative } from 'path';
+import { readFileSync, writeFileSync } from 'fs';
+import { latestRelease, artifactUrl, formatDay } from '../public/assets/js/registry.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, '..');
+
+export const REGISTRY_PATH = resolve(root, 'public', 'defense', 'sha', 'registry.json');
+
+const portalPath = resolve(root, 'public', 'index.html');
+const deckPath = resolve(root, 'public', 'defense', 'index.html');
+const redirectsPath = resolve(root, 'public', '_redirects');
+
+const BLOCK = (name) => new RegExp(`(<!-- registry:${name}:start[^>]*-->)[\\s\\S]*?(\\n[ \\t]*<!-- registry:${name}:end -->)`);
+const DECK_SHA = /(Deck PDF SHA-256: )[0-9a-f]{64}/g;
+
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ── Registry ────────────────────────────────────────────────
+export function readRegistry() {
+  return JSON.parse(readFileSync(REGISTRY_PATH, 'utf8'));
+}
+
+/* Two-space JSON with a trailing newline, so rewrites diff cleanly */
+export function writeRegistry(registry) {
+  writeFileSync(REGISTRY_PATH, JSON.stringify(registry, null, 2) + '\n');
+}
+
+// ── Render ──────────────────────────────────────────────────
+function deckBlock(deck, indent) {
+  const latest = latestRelease(deck);
+  return [
+    `<a class="btn-secondary" href="${escapeHtml(artifactUrl(deck))}" target="_blank" rel="noopener">Download Deck (PDF)</a>`,
+    `<div class="version-line">Version ${latest.version} · released ${formatDay(latest.released)}</div>`,
+    `<div class="sha-line">SHA-256: ${latest.sha256}</div>`,
+  ].map(l => indent + l).join('\n');
+}
+
+function documentRows(documents, indent) {
+  return documents.map((doc) => {
+    const latest = latestRelease(doc);
+    const href = escapeHtml(artifactUrl(doc));
+    return [
+      '<li class="doc-row">',
+      `  <span class="doc-name">${escapeHtml(doc.title)}<span class="doc-version">v${latest.version} · ${formatDay(latest.released)}</span></span>`,
+      '  <span class="doc-actions">',
+      `    <a href="${href}" target="_blank" rel="noopener">Open</a>`,
+      `    <a href="${href}" download>Download</a>`,
+      '  </span>',
+      '</li>',
+    ].map(l => indent + l).join('\n');
+  }).join('\n');
+}
+
+function fillBlock(html, name, body, file) {
+  const re = BLOCK(name);
+  const m = re.exec(html);
+  if (!m) throw new Error(`${relative(root, file)} has no registry:${name} markers`);
+  const indent = /\n([ \t]*)$/.exec(html.slice(0, m.index))?.[1] ?? '';
+  return html.replace(re, (_, start, end) => start + (body ? '\n' + body(indent) : '') + end);
+}
+
+/**
+ * Renders every page the registry drives. Returns [{ file, text }] with
+ * the full new contents; nothing is written.
+ */
+export function renderDocuments(registry = readRegistry()) {
+  const decks = registry.artifacts.filter(a => a.kind === 'deck');
+  if (decks.length !== 1) throw new Error(`Registry lists ${decks.length} deck artifacts, expected 1`);
+  const [deck] = decks;
+  const documents = registry.artifacts.filter(a => a.kind === 'document');
+  for (const a of registry.artifacts) {
+    if (!a.versions || !a.versions.length) throw new Error(`${a.id} has no released versions`);
+  }
+
+  // Any version of the release URL is replaced with the current one
+  const [before, after] = deck.releaseUrl.split('{version}').map(escapeRegExp);
+  const releaseUrl = new RegExp(before + '\\d+' + after, 'g');
+  const deckUrl = artifactUrl(deck);
+  const deckSha = latestRelease(deck).sha256;
+
+  let portal = readFileSync(portalPath, 'utf8');
+  portal = fillBlock(portal, 'deck', indent => deckBlock(deck, indent), portalPath);
+  portal = fillBlock(portal, 'documents', indent => documentRows(documents, indent), portalPath);
+
+  const deckHtml = readFileSync(deckPath, 'utf8');
+  if (!DECK_SHA.test(deckHtml)) throw new Error(`${relative(root, deckPath)} has no "Deck PDF SHA-256:" line`);
+
+  const redirects = readFileSync(redirectsPath, 'utf8');
+  if (!releaseUrl.test(redirects)) throw new Error(`${relative(root, redirectsPath)} has no deck release redirect`);
+
+  return [
+    { file: portalPath, text: portal },
+    { file: deckPath, text: deckHtml.replace(releaseUrl, deckUrl).replace(DECK_SHA, '$1' + deckSha) },
+    { file: redirectsPath, text: redirects.replace(releaseUrl, deckUrl) },
+  ];
+}
+
+// ── CLI ─────────────────────────────────────────────────────
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const check = process.argv.includes('--check');
+  let pages;
+  try {
+    pages = renderDocuments();
+  } catch (err) {
+    console.error(`\n🚫 ${err.message}\n`);
+    process.exit(1);
+  }
+
+  const stale = pages.filter(p => readFileSync(p.file, 'utf8') !== p.text);
+  if (check) {
+    if (stale.length) {
+      console.error('\n🚫 PAGES OUT OF STEP WITH THE REGISTRY:\n');
+      stale.forEach(p => console.error(`  ✘ ${relative(root, p.file)}`));
+      console.error('\nRun: node source/build-documents.mjs\n');
+      process.exit(1);
+    }
+  } else {
+    for (const p of stale) {
+      writeFileSync(p.file, p.text);
+      console.log(`  ${relative(root, p.file)}`);
+    }
+  }
+  console.log(`\n✓ ${pages.length} pages match ${relative(root, REGISTRY_PATH)}`);
+}
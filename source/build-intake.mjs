@@ -10,6 +10,11 @@
  * This eliminates all WASM from the deploy: no chunk files, no
  * WebAssembly.instantiate(), no Emscripten abort risk.
  *
+ * The bundle then goes through fingerprint-assets.mjs: content-hashed
+ * copies under public/assets/hashed/ and SRI integrity attributes on the
+ * /intake/ and /defense/verify/ pages. The build fails if those pages
+ * and the emitted files disagree.
+ *
  * Run: node source/build-intake.mjs
  */
 import { build } from 'esbuild';
@@ -80,3 +85,24 @@ if (violations.length > 0) {
 }
 
 console.log('\n✓ Entry chunk clean: no WebAssembly, no pqc-shared');
+
+// ── Hashed copies + SRI ─────────────────────────────────────
+import { fingerprint, writeFingerprint, checkFingerprint, reportProblems } from './fingerprint-assets.mjs';
+
+let hashed;
+try {
+  hashed = fingerprint();
+  writeFingerprint(hashed);
+} catch (err) {
+  reportProblems([err.message]);
+  process.exit(1);
+}
+
+const problems = checkFingerprint(hashed);
+if (problems.length > 0) {
+  reportProblems(problems);
+  process.exit(1);
+}
+
+for (const [name, asset] of hashed.assets) console.log(`  ${name.padEnd(17)} → ${asset.url}`);
+console.log('✓ Pages and hashed assets agree (SRI sha384)');
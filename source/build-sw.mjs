@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Bundles the offline-mode service worker, source/sw.js, into
+ * public/defense/sw.js as a classic script. Firefox does not run module
+ * service workers, so the worker cannot import manifest.js, registry.js
+ * and sha256.js itself; they are inlined instead. The output is left
+ * unminified so it can be read against its sources.
+ *
+ * Rebuild after changing source/sw.js or any module it imports. --check
+ * writes nothing and fails if public/defense/sw.js is out of date.
+ *
+ * Run: node source/build-sw.mjs [--check]
+ */
+import { build } from 'esbuild';
+import { fileURLToPath } from 'url';
+import { dirname, resolve, relative } from 'path';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, '..');
+const entry = resolve(__dirname, 'sw.js');
+const outfile = resolve(root, 'public', 'defense', 'sw.js');
+
+const result = await build({
+  entryPoints: [entry],
+  bundle: true,
+  format: 'iife',
+  target: 'es2020',
+  platform: 'browser',
+  outfile,
+  write: false,
+  banner: { js: '// Generated by source/build-sw.mjs from source/sw.js — edit that and rebuild.' },
+});
+
+const text = result.outputFiles[0].text;
+const name = relative(root, outfile);
+
+// A classic worker that still says import/export fails to start at all
+if (/^\s*(import|export)\s/m.test(text)) {
+  console.error(`\n🚫 ${name} still has module syntax — build failed\n`);
+  process.exit(1);
+}
+
+if (process.argv.includes('--check')) {
+  if (!existsSync(outfile) || readFileSync(outfile, 'utf8') !== text) {
+    console.error(`\n🚫 ${name} is out of date with source/sw.js and its imports\n`);
+    console.error('Run: node source/build-sw.mjs\n');
+    process.exit(1);
+  }
+} else {
+  writeFileSync(outfile, text);
+  console.log(`  ${name}  ${(text.length / 1024).toFixed(1)} KB`);
+}
+console.log(`\n✓ ${name} is a classic worker built from source/sw.js`);
@@ -0,0 +1,69 @@
+/**
+ * Parser for "Loggie Defense Pitch Deck Master.txt".
+ *
+ * The Master text is the single source for per-slide wording:
+ *
+ *   Slide 4 — The Core Solution      ← heading: number + title
+ *
+ *   Loggie provides:                 ← body paragraphs, blank-line separated
+ *
+ *   (No italics. Keep it institutional.)   ← editorial aside, dropped
+ *
+ * Anything that is not slide wording — asides, wording notes — goes in
+ * parentheses as its own paragraph; nothing else is dropped.
+ *
+ * Shared by the deck build scripts so they all read it the same way.
+ */
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { readFileSync } from 'fs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const MASTER_PATH = resolve(__dirname, '..', 'Loggie Defense Pitch Deck Master.txt');
+
+const HEADING = /^Slide\s+(\d+)\s+[—–-]\s+(.+)$/;
+const ASIDE = /^\(.*\)$/s;
+
+/**
+ * Returns [{ number, title, paragraphs }] in slide order.
+ * Throws if slide numbers are not 1..N without gaps.
+ */
+export function parseMaster(text) {
+  const slides = [];
+  let para = [];
+
+  const flush = () => {
+    if (!para.length) return;
+    const block = para.join('\n');
+    para = [];
+    if (!slides.length) throw new Error(`Master text has content before the first slide heading: "${block}"`);
+    if (!ASIDE.test(block)) slides[slides.length - 1].paragraphs.push(block);
+  };
+
+  for (const raw of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.trim();
+    const heading = HEADING.exec(line);
+    if (heading) {
+      flush();
+      slides.push({ number: Number(heading[1]), title: heading[2].trim(), paragraphs: [] });
+    } else if (line) {
+      para.push(line);
+    } else {
+      flush();
+    }
+  }
+  flush();
+
+  slides.forEach((s, i) => {
+    if (s.number !== i + 1) {
+      throw new Error(`Master text slide headings out of sequence: expected Slide ${i + 1}, found Slide ${s.number}`);
+    }
+  });
+
+  return slides;
+}
+
+export function readMaster() {
+  return parseMaster(readFileSync(MASTER_PATH, 'utf8'));
+}
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Content-hashed script copies with Subresource Integrity.
+ *
+ * Starting from each page's entry module, walks its /assets/js/ imports
+ * and emits every module to public/assets/hashed/ as name.<sha256>.js,
+ * with its own imports rewritten to the hashed names. The page's module
+ * <script> is then replaced by a generated block — a modulepreload link
+ * with an integrity attribute for each dependency, and the entry script
+ * with its own — so a swapped file on the CDN fails to load instead of
+ * running. Hashed names never change content, so _headers serves
+ * /assets/hashed/* as immutable.
+ *
+ * Pages: /intake/ (intake-form.js → intake-client.js, intake-config.js,
+ *                  intake-requests.js)
+ *        /defense/verify/ (verify.js → sha256.js, manifest.js → sha256.js,
+ *                          registry.js → sha256.js, verify-report.js)
+ *
+ * Run after editing any of those modules; build-intake.mjs runs it after
+ * bundling. --check writes nothing and fails if the pages, the hashed
+ * files and their sources disagree.
+ *
+ * --config <file> builds another intake environment (e.g. staging): the
+ * file is hashed and pinned in place of public/assets/js/intake-config.js,
+ * which is left as it is. Deploy that output, and run without --config to
+ * go back to production.
+ *
+ * Run: node source/fingerprint-assets.mjs [--check] [--config <file>]
+ */
+import { fileURLToPath } from 'url';
+import { dirname, resolve, relative } from 'path';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync, rmSync } from 'fs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, '..');
+const jsDir = resolve(root, 'public', 'assets', 'js');
+const hashedDir = resolve(root, 'public', 'assets', 'hashed');
+
+export const HASHED_URL = '/assets/hashed/';
+
+export const PAGES = [
+  { html: resolve(root, 'public', 'intake', 'index.html'), entry: 'intake-form.js' },
+  { html: resolve(root, 'public', 'defense', 'verify', 'index.html'), entry: 'verify.js' },
+];
+
+// Absolute, or relative between modules that also load in Node (registry.js)
+const IMPORT = /(\bfrom\s*|\bimport\s*\(?\s*)(['"])(?:\/assets\/js\/|\.\/)([\w-]+\.js)\2/g;
+const HASHED_NAME = /^([\w-]+)\.[0-9a-f]{12}\.js$/;
+const BLOCK = /<!-- integrity:start[^>]*-->[\s\S]*?<!-- integrity:end -->/;
+
+function sri(content) {
+  return 'sha384-' + createHash('sha384').update(content).digest('base64');
+}
+
+function hashedName(name, content) {
+  return name.replace(/\.js$/, '') + '.' + createHash('sha256').update(content).digest('hex').slice(0, 12) + '.js';
+}
+
+// ── Build the hashed module graph ───────────────────────────
+/**
+ * Returns { assets: Map(name → { url, file, content, integrity, deps }),
+ * pages: [{ html, text }] } without touching the disk. `overrides` maps
+ * a module name to replacement source (the intake stand-in swaps in its
+ * own intake-config.js this way).
+ */
+export function fingerprint({ overrides = {} } = {}) {
+  const assets = new Map();
+  const visiting = new Set();
+
+  function emit(name) {
+    if (assets.has(name)) return assets.get(name);
+    if (visiting.has(name)) throw new Error(`Import cycle through ${name}`);
+    visiting.add(name);
+
+    const sourcePath = resolve(jsDir, name);
+    if (!(name in overrides) && !existsSync(sourcePath)) throw new Error(`Missing module public/assets/js/${name}`);
+    const source = name in overrides ? overrides[name] : readFileSync(sourcePath, 'utf8');
+
+    const deps = [];
+    const content = source.replace(IMPORT, (m, lead, quote, dep) => {
+      const asset = emit(dep);
+      deps.push(dep);
+      return lead + quote + asset.url + quote;
+    });
+
+    const hashed = hashedName(name, content);
+    const asset = { url: HASHED_URL + hashed, file: resolve(hashedDir, hashed), content, integrity: sri(content), deps };
+    visiting.delete(name);
+    assets.set(name, asset);
+    return asset;
+  }
+
+  const pages = PAGES.map(({ html, entry }) => {
+    const main = emit(entry);
+
+    // Every module the entry reaches, dependencies first
+    const preload = [];
+    const walk = (name) => {
+      for (const dep of assets.get(name).deps) {
+        if (!preload.includes(dep)) { walk(dep); preload.push(dep); }
+      }
+    };
+    walk(entry);
+
+    const block = [
+      '<!-- integrity:start — generated by source/fingerprint-assets.mjs -->',
+      ...preload.map(dep => `<link rel="modulepreload" href="${assets.get(dep).url}" integrity="${assets.get(dep).integrity}">`),
+      `<script type="module" src="${main.url}" integrity="${main.integrity}"></script>`,
+      '<!-- integrity:end -->',
+    ].join('\n');
+
+    const text = readFileSync(html, 'utf8');
+    const plain = `<script type="module" src="/assets/js/${entry}"></script>`;
+    if (BLOCK.test(text)) return { html, text: text.replace(BLOCK, block) };
+    if (text.includes(plain)) return { html, text: text.replace(plain, block) };
+    throw new Error(`${relative(root, html)} has no integrity block or ${plain}`);
+  });
+
+  return { assets, pages };
+}
+
+// ── Write ───────────────────────────────────────────────────
+export function writeFingerprint({ assets, pages }) {
+  mkdirSync(hashedDir, { recursive: true });
+  const keep = new Set();
+  for (const asset of assets.values()) {
+    writeFileSync(asset.file, asset.content);
+    keep.add(relative(hashedDir, asset.file));
+  }
+  // Superseded copies go; anything in hashed/ is ours
+  for (const name of readdirSync(hashedDir)) {
+    if (!keep.has(name)) rmSync(resolve(hashedDir, name));
+  }
+  for (const { html, text } of pages) writeFileSync(html, text);
+}
+
+// ── Check ───────────────────────────────────────────────────
+function attrs(tag) {
+  const out = {};
+  for (const m of tag.matchAll(/([a-z-]+)="([^"]*)"/g)) out[m[1]] = m[2];
+  return out;
+}
+
+/**
+ * Compares the pages and public/assets/hashed/ on disk with what the
+ * current sources produce. Returns a list of problems; empty means the
+ * HTML, the emitted files and their integrity values all agree.
+ */
+export function checkFingerprint(expected = fingerprint()) {
+  const problems = [];
+  const expectedUrls = new Set([...expected.assets.values()].map(a => a.url));
+
+  for (const { html } of PAGES) {
+    const page = relative(root, html);
+    const text = readFileSync(html, 'utf8');
+    const block = text.match(BLOCK);
+    if (!block) {
+      problems.push(`${page}: no integrity block`);
+      continue;
+    }
+    if (/<script\b[^>]*\ssrc="\/assets\/js\//.test(text)) {
+      problems.push(`${page}: still loads a script from /assets/js/ without integrity`);
+    }
+
+    const refs = [...block[0].matchAll(/<(?:script|link)\b[^>]*>/g)].map(m => attrs(m[0]));
+    for (const { src, href, integrity } of refs) {
+      const url = src || href || '';
+      const base = url.slice(HASHED_URL.length);
+      const file = resolve(hashedDir, base);
+      if (!url.startsWith(HASHED_URL) || !existsSync(file)) {
+        problems.push(`${page}: references ${url}, which was not emitted`);
+        continue;
+      }
+      const content = readFileSync(file);
+      if (integrity !== sri(content)) problems.push(`${page}: integrity for ${url} does not match the file`);
+      const m = HASHED_NAME.exec(base);
+      if (!m || base !== hashedName(m[1] + '.js', content)) {
+        problems.push(`${page}: ${url} content does not match its hashed name`);
+      }
+      if (!expectedUrls.has(url)) problems.push(`${page}: ${url} is stale — its source has changed since the last build`);
+    }
+
+    const fresh = expected.pages.find(p => p.html === html);
+    if (fresh && fresh.text !== text && !problems.some(p => p.startsWith(page))) {
+      problems.push(`${page}: integrity block differs from a fresh build`);
+    }
+  }
+
+  for (const asset of expected.assets.values()) {
+    if (!existsSync(asset.file)) problems.push(`${asset.url} was not emitted`);
+  }
+
+  return problems;
+}
+
+// ── CLI ─────────────────────────────────────────────────────
+export function reportProblems(problems) {
+  console.error('\n🚫 HASHED ASSETS OUT OF STEP — build failed:\n');
+  problems.forEach(p => console.error(`  ✘ ${p}`));
+  console.error('\nRun: node source/fingerprint-assets.mjs\n');
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const configIdx = process.argv.indexOf('--config');
+  let result;
+  try {
+    const overrides = configIdx !== -1
+      ? { 'intake-config.js': readFileSync(resolve(process.argv[configIdx + 1] || ''), 'utf8') }
+      : {};
+    result = fingerprint({ overrides });
+  } catch (err) {
+    reportProblems([err.message]);
+    process.exit(1);
+  }
+
+  if (!process.argv.includes('--check')) {
+    writeFingerprint(result);
+    for (const [name, asset] of result.assets) console.log(`  ${name.padEnd(21)} → ${asset.url}`);
+  }
+
+  const problems = checkFingerprint(result);
+  if (configIdx !== -1) console.log(`\n  intake-config.js from ${process.argv[configIdx + 1]}`);
+  if (problems.length) {
+    reportProblems(problems);
+    process.exit(1);
+  }
+  console.log(`\n✓ ${PAGES.length} pages, ${result.assets.size} hashed modules — HTML and files agree`);
+}
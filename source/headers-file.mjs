@@ -0,0 +1,67 @@
+/**
+ * Reader for Cloudflare Pages-style public/_headers and public/_redirects.
+ *
+ * _headers is a list of URL patterns, each followed by indented
+ * "Name: value" lines. A trailing * matches any suffix, and every
+ * matching rule applies, top to bottom. A header set by more than one
+ * matching rule is sent once, its values joined with ", " in rule order,
+ * as Pages does — two Content-Security-Policy values become two policies.
+ */
+
+/** Returns [{ pattern, headers: [[name, value], ...] }] in file order. */
+export function parseHeadersFile(text) {
+  const rules = [];
+  let rule = null;
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    if (!/^\s/.test(line)) {
+      rule = { pattern: line.trim(), headers: [] };
+      rules.push(rule);
+      return;
+    }
+    const m = /^\s+([A-Za-z0-9-]+):\s*(.*)$/.exec(line);
+    if (!rule || !m) throw new Error(`_headers line ${i + 1}: expected "Name: value" under a URL pattern`);
+    rule.headers.push([m[1], m[2].trim()]);
+  });
+
+  return rules;
+}
+
+export function matchesPattern(pattern, path) {
+  if (pattern.endsWith('*')) return path.startsWith(pattern.slice(0, -1));
+  return path === pattern;
+}
+
+/**
+ * Effective headers for a request path, as a Map keyed by lower-case
+ * header name → { name, value, patterns } (patterns = rules that set it).
+ */
+export function headersFor(rules, path) {
+  const out = new Map();
+  for (const rule of rules) {
+    if (!matchesPattern(rule.pattern, path)) continue;
+    for (const [name, value] of rule.headers) {
+      const key = name.toLowerCase();
+      const prev = out.get(key);
+      if (prev) {
+        prev.value += ', ' + value;
+        prev.patterns.push(rule.pattern);
+      } else {
+        out.set(key, { name, value, patterns: [rule.pattern] });
+      }
+    }
+  }
+  return out;
+}
+
+/** Returns [{ from, to, status }] from a _redirects file. */
+export function parseRedirectsFile(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map((line) => {
+      const [from, to, status = '302'] = line.split(/\s+/);
+      return { from, to, status: Number(status) };
+    });
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Decrypts stored secure-intake submissions into readable records.
+ *
+ * Accepts inbox files written by source/intake-standin.mjs, or raw
+ * request bodies as posted to /api/intake ({ v, id, pqcUsed, encrypted }).
+ * Each record is opened with the recipient X25519 secret key (32-byte hex)
+ * and checked against its submission id, which is the BLAKE3 hash of the
+ * plaintext — a mismatch means the envelope does not hold what was sent.
+ *
+ * Needs the ../Omnituum checkout the intake bundle is built from, for
+ * tweetnacl and @noble/hashes (see intake-open.mjs).
+ *
+ * Usage:
+ *   node source/intake-decrypt.mjs --key <secret.key> [--json] <file|dir>...
+ *   LOGGIE_INTAKE_KEY=<secret.key> node source/intake-decrypt.mjs <file|dir>...
+ *
+ * Exits 1 if any record fails to decrypt or verify.
+ */
+import { resolve, join, basename } from 'path';
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { validateSubmission } from './intake-envelope.mjs';
+import { openEnvelope, submissionId } from './intake-open.mjs';
+
+const inputs = [];
+let keyFile = process.env.LOGGIE_INTAKE_KEY;
+let asJson = false;
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--json') asJson = true;
+  else if (args[i] === '--key') keyFile = args[++i];
+  else inputs.push(args[i]);
+}
+
+if (!keyFile || !inputs.length) {
+  console.error('Usage: node source/intake-decrypt.mjs --key <secret.key> [--json] <file|dir>...');
+  process.exit(1);
+}
+
+const secretKeyHex = readFileSync(resolve(keyFile), 'utf8').trim().toLowerCase();
+if (!/^[0-9a-f]{64}$/.test(secretKeyHex)) {
+  console.error('🚫 Recipient key must be 32 bytes of hex.');
+  process.exit(1);
+}
+
+// ── Collect files ───────────────────────────────────────────
+const files = [];
+for (const input of inputs) {
+  const p = resolve(input);
+  if (statSync(p).isDirectory()) {
+    readdirSync(p).filter(n => n.endsWith('.json')).sort().forEach(n => files.push(join(p, n)));
+  } else {
+    files.push(p);
+  }
+}
+
+// ── Decrypt ─────────────────────────────────────────────────
+const records = [];
+let failures = 0;
+
+for (const file of files) {
+  const record = { file: basename(file), receivedAt: null, id: null, verified: false, submission: null, error: null };
+  try {
+    const stored = JSON.parse(readFileSync(file, 'utf8'));
+    // Inbox files carry the parsed envelope; raw bodies carry it as a string
+    const body = stored.envelope
+      ? { ...stored, encrypted: JSON.stringify(stored.envelope) }
+      : stored;
+    const envelope = validateSubmission(body);
+    record.receivedAt = stored.receivedAt || (envelope.meta && envelope.meta.createdAt) || null;
+    record.id = body.id;
+
+    const plaintext = openEnvelope(envelope, secretKeyHex);
+    record.verified = submissionId(plaintext) === body.id;
+    record.submission = JSON.parse(plaintext.toString('utf8'));
+    if (!record.verified) record.error = 'Submission id does not match decrypted content';
+  } catch (err) {
+    record.error = err.message;
+  }
+  if (record.error) failures++;
+  records.push(record);
+}
+
+// ── Output ──────────────────────────────────────────────────
+if (asJson) {
+  console.log(JSON.stringify(records, null, 2));
+} else {
+  for (const r of records) {
+    console.log('──────────────────────────────────');
+    console.log(`${r.error ? '✘' : '✓'} ${r.file}`);
+    if (r.receivedAt) console.log(`  Received   ${r.receivedAt}`);
+    if (r.id) console.log(`  Id         ${r.id}`);
+    if (r.error) console.log(`  Error      ${r.error}`);
+    if (!r.submission) continue;
+    for (const [field, value] of Object.entries(r.submission)) {
+      const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+      console.log(`  ${field.padEnd(10)} ${text.replace(/\n/g, '\n' + ' '.repeat(13))}`);
+    }
+  }
+  console.log('──────────────────────────────────');
+  console.log(`${records.length - failures} decrypted, ${failures} failed`);
+}
+
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,100 @@
+/**
+ * Node side of the secure-intake contract: versions, limits, request
+ * validation and recipient keys, for the stand-in and the decrypt tool.
+ *
+ * Submissions travel as omnituum.hybrid.v1 envelopes (X25519 suite),
+ * as the browser bundle (intake-client.js) produces them:
+ *
+ *   content key  32 random bytes
+ *   ciphertext   XSalsa20-Poly1305(plaintext, contentNonce, content key)
+ *   wrap key     HKDF-SHA256(X25519(ephemeral, recipient),
+ *                            salt "omnituum/x25519", info "wrap-ck")
+ *   x25519Wrap   XSalsa20-Poly1305(content key, nonce, wrap key)
+ *
+ * The submission id is BLAKE3 of the canonical plaintext JSON. Node's
+ * crypto has neither XSalsa20 nor BLAKE3, so opening submissions lives in
+ * intake-open.mjs with the packages it needs; this module uses node's
+ * crypto only.
+ */
+import { createPrivateKey, createPublicKey, diffieHellman, generateKeyPairSync } from 'crypto';
+
+export const INTAKE_VERSION = 'loggie.intake.v1';
+export const ENVELOPE_VERSION = 'omnituum.hybrid.v1';
+export const MAX_ENVELOPE_BYTES = 56 * 1024;
+
+const HEX64 = /^[0-9a-f]{64}$/;
+
+// ── Recipient keys ──────────────────────────────────────────
+// Keys travel as 32-byte hex, like x25519PubHex in intake-config.js.
+
+export function generateRecipientKey() {
+  const { privateKey, publicKey } = generateKeyPairSync('x25519');
+  return {
+    secretKeyHex: Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url').toString('hex'),
+    publicKeyHex: Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex'),
+  };
+}
+
+// PKCS#8 DER header for a raw 32-byte X25519 private key
+const X25519_PKCS8 = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+function privateKeyFromHex(secretKeyHex) {
+  return createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8, Buffer.from(secretKeyHex, 'hex')]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+}
+
+function publicKeyFromHex(publicKeyHex) {
+  return createPublicKey({
+    key: { kty: 'OKP', crv: 'X25519', x: Buffer.from(publicKeyHex, 'hex').toString('base64url') },
+    format: 'jwk',
+  });
+}
+
+export function publicKeyHexFor(secretKeyHex) {
+  const { x } = createPublicKey(privateKeyFromHex(secretKeyHex)).export({ format: 'jwk' });
+  return Buffer.from(x, 'base64url').toString('hex');
+}
+
+/** X25519 of the recipient secret key and a sender's ephemeral public key. */
+export function sharedSecret(secretKeyHex, publicKeyHex) {
+  return diffieHellman({
+    privateKey: privateKeyFromHex(secretKeyHex),
+    publicKey: publicKeyFromHex(publicKeyHex),
+  });
+}
+
+// ── Submission shape ────────────────────────────────────────
+
+/**
+ * Checks a POSTed submission body against the /api/intake contract.
+ * Returns the parsed envelope, or throws an Error whose message is safe
+ * to return to the client.
+ */
+export function validateSubmission(body) {
+  if (!body || typeof body !== 'object') throw new Error('Invalid submission.');
+  if (body.v !== INTAKE_VERSION) throw new Error(`Unsupported submission version: ${String(body.v)}`);
+  if (typeof body.id !== 'string' || !HEX64.test(body.id)) throw new Error('Invalid submission id.');
+  if (typeof body.pqcUsed !== 'boolean') throw new Error('Invalid submission.');
+  if (typeof body.encrypted !== 'string') throw new Error('Missing encrypted payload.');
+
+  let env;
+  try {
+    env = JSON.parse(body.encrypted);
+  } catch {
+    throw new Error('Encrypted payload is not valid JSON.');
+  }
+  if (!env || typeof env !== 'object' || Array.isArray(env)) throw new Error('Encrypted payload is not an envelope.');
+  if (env.v !== ENVELOPE_VERSION) throw new Error(`Unsupported envelope version: ${String(env.v)}`);
+  if (typeof env.suite !== 'string' || !env.suite) throw new Error('Envelope missing suite.');
+  if (!HEX64.test(env.x25519Epk || '')) throw new Error('Invalid ephemeral key.');
+  for (const field of ['contentNonce', 'ciphertext']) {
+    if (typeof env[field] !== 'string' || !env[field]) throw new Error(`Envelope missing ${field}.`);
+  }
+  if (!env.x25519Wrap || typeof env.x25519Wrap !== 'object' || !env.x25519Wrap.nonce || !env.x25519Wrap.wrapped) {
+    throw new Error('Envelope missing x25519Wrap.');
+  }
+  return env;
+}
@@ -0,0 +1,63 @@
+/**
+ * Opens secure-intake submissions (omnituum.hybrid.v1, X25519 suite) —
+ * the decryption half of intake-envelope.mjs, for intake-decrypt.mjs.
+ *
+ * Node's crypto has neither XSalsa20 nor BLAKE3, so this uses tweetnacl
+ * and @noble/hashes — the same copies the browser bundle inlines, taken
+ * from the ../Omnituum checkout that build-intake.mjs bundles from.
+ *
+ * The stand-in does not import this module and runs without them.
+ */
+import { hkdfSync } from 'crypto';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { sharedSecret } from './intake-envelope.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const omni = resolve(__dirname, '..', '..', 'Omnituum');
+const require = createRequire(import.meta.url);
+
+// Same lookup order as build-intake.mjs's nodePaths
+function fromOmnituum(id) {
+  const paths = [resolve(omni, 'secure-intake-client'), resolve(omni, 'pqc-shared')];
+  try {
+    return require(require.resolve(id, { paths }));
+  } catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    throw new Error(`${id} not found under ${omni} — install the Omnituum packages first`);
+  }
+}
+
+const nacl = fromOmnituum('tweetnacl');
+const { blake3 } = fromOmnituum('@noble/hashes/blake3');
+
+/**
+ * Opens an X25519-suite envelope with the recipient secret key.
+ * Returns the plaintext bytes; throws if any authentication tag fails.
+ */
+export function openEnvelope(env, secretKeyHex) {
+  if (env.suite !== 'x25519') {
+    throw new Error(`Envelope suite ${env.suite} needs the hybrid (Kyber) recipient key — not supported here`);
+  }
+
+  const shared = sharedSecret(secretKeyHex, env.x25519Epk);
+  const wrapKey = new Uint8Array(hkdfSync('sha256', shared, 'omnituum/x25519', 'wrap-ck', 32));
+
+  const contentKey = nacl.secretbox.open(b64(env.x25519Wrap.wrapped), b64(env.x25519Wrap.nonce), wrapKey);
+  if (!contentKey) throw new Error('Key unwrap failed — wrong recipient key or tampered envelope');
+
+  const plaintext = nacl.secretbox.open(b64(env.ciphertext), b64(env.contentNonce), contentKey);
+  if (!plaintext) throw new Error('Decryption failed — ciphertext was tampered with');
+
+  return Buffer.from(plaintext);
+}
+
+/** The client's submission id: BLAKE3 of the canonical plaintext JSON, hex. */
+export function submissionId(plaintext) {
+  return Buffer.from(blake3(new Uint8Array(plaintext))).toString('hex');
+}
+
+function b64(s) {
+  return new Uint8Array(Buffer.from(s, 'base64'));
+}
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the secure-intake service, for offline end-to-end
+ * testing of /intake/.
+ *
+ * Serves public/ (with the _headers and _redirects rules applied, so the
+ * strict CSP is exercised) and implements the POST /api/intake contract
+ * that createPilotAccessClient expects:
+ *
+ *   request   { v: "loggie.intake.v1", id: <blake3 hex>, pqcUsed, encrypted: <envelope JSON> }
+ *   201       { ok: true, id, status: "created" }      stored
+ *   200       { ok: true, id, status: "duplicate" }    same id already stored
+ *   4xx       { ok: false, error }                     client error, not retried
+ *   5xx       { ok: false, error }                     server error (see --fail)
+ *
+ * intake-config.js is replaced with a "local" environment that posts to
+ * this server, encrypted to a recipient key kept in
+ * .intake-standin/recipient.key. The page's hashed modules and SRI block
+ * are regenerated in memory around it (fingerprint-assets.mjs), so
+ * integrity checking stays on; restart after editing a module. Submissions land in .intake-standin/inbox/
+ * exactly as the real service stores them; open them with
+ * source/intake-decrypt.mjs.
+ *
+ * Run: node source/intake-standin.mjs [--port 8788] [--fail 503]
+ */
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { dirname, resolve, extname, sep } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { parseHeadersFile, headersFor, parseRedirectsFile } from './headers-file.mjs';
+import { fingerprint } from './fingerprint-assets.mjs';
+import { MAX_ENVELOPE_BYTES, generateRecipientKey, publicKeyHexFor, validateSubmission } from './intake-envelope.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, '..');
+const publicDir = resolve(root, 'public');
+const stateDir = resolve(root, '.intake-standin');
+const inboxDir = resolve(stateDir, 'inbox');
+const keyPath = resolve(stateDir, 'recipient.key');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(arg('--port', process.env.PORT || 8788));
+const failStatus = arg('--fail', null) ? Number(arg('--fail')) : null;
+
+// ── Recipient key ───────────────────────────────────────────
+mkdirSync(inboxDir, { recursive: true });
+if (!existsSync(keyPath)) {
+  writeFileSync(keyPath, generateRecipientKey().secretKeyHex + '\n', { mode: 0o600 });
+}
+const recipientPubHex = publicKeyHexFor(readFileSync(keyPath, 'utf8').trim());
+
+const LOCAL_CONFIG = `// Served by source/intake-standin.mjs — local environment
+export default {
+  environment: 'local',
+  endpoint: '/api/intake',
+  publicKeys: {
+    x25519PubHex: '${recipientPubHex}',
+    kyberPubB64: '',
+  },
+};
+`;
+
+// ── Static files ────────────────────────────────────────────
+// Pages and hashed modules rebuilt around LOCAL_CONFIG, by absolute path
+const generated = new Map();
+const local = fingerprint({ overrides: { 'intake-config.js': LOCAL_CONFIG } });
+for (const asset of local.assets.values()) generated.set(asset.file, asset.content);
+for (const page of local.pages) generated.set(page.html, page.text);
+
+const headerRules = parseHeadersFile(readFileSync(resolve(publicDir, '_headers'), 'utf8'));
+const redirects = parseRedirectsFile(readFileSync(resolve(publicDir, '_redirects'), 'utf8'));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.sig': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.webmanifest': 'application/manifest+json',
+};
+
+function resolveStatic(pathname) {
+  const file = resolve(publicDir, '.' + decodeURIComponent(pathname));
+  if (file !== publicDir && !file.startsWith(publicDir + sep)) return null;
+  if (existsSync(file) && statSync(file).isDirectory()) {
+    const index = resolve(file, 'index.html');
+    return existsSync(index) ? index : null;
+  }
+  return generated.has(file) || existsSync(file) ? file : null;
+}
+
+function serveStatic(req, res, pathname) {
+  const redirect = redirects.find(r => r.from === pathname);
+  if (redirect) {
+    res.writeHead(redirect.status, { Location: redirect.to });
+    return res.end();
+  }
+
+  let file;
+  try {
+    file = resolveStatic(pathname);
+  } catch {
+    // Malformed percent-encoding (URIError from decodeURIComponent)
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Bad request');
+  }
+
+  // Directory URLs need their trailing slash, as on Pages
+  if (file && file.endsWith('index.html') && !pathname.endsWith('/') && !pathname.endsWith('.html')) {
+    res.writeHead(308, { Location: pathname + '/' });
+    return res.end();
+  }
+
+  const headers = {};
+  for (const { name, value } of headersFor(headerRules, pathname).values()) headers[name] = value;
+
+  if (!file) {
+    res.writeHead(404, { ...headers, 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Not found');
+  }
+
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream', ...headers });
+  res.end(req.method === 'HEAD' ? undefined : generated.get(file) ?? readFileSync(file));
+}
+
+// ── POST /api/intake ────────────────────────────────────────
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req, limit, tooLarge) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error(tooLarge), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolveBody(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function storedIds() {
+  return new Set(readdirSync(inboxDir).map(n => /-([0-9a-f]{64})\.json$/.exec(n)).filter(Boolean).map(m => m[1]));
+}
+
+/* Method, type, size, --fail and shape checks; answers and returns null on failure */
+async function readJsonPost(req, res, limit, tooLarge) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    json(res, 405, { ok: false, error: 'Method not allowed.' });
+    return null;
+  }
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    json(res, 415, { ok: false, error: 'Content-Type must be application/json.' });
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = await readBody(req, limit, tooLarge);
+  } catch (err) {
+    json(res, err.status || 400, { ok: false, error: err.message });
+    return null;
+  }
+
+  if (failStatus) {
+    json(res, failStatus, { ok: false, error: `Stand-in forced failure (${failStatus}).` });
+    return null;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(raw.toString('utf8'));
+  } catch {
+    json(res, 400, { ok: false, error: 'Request body is not valid JSON.' });
+    return null;
+  }
+  // null is answered here, so it can keep meaning "already answered"
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    json(res, 400, { ok: false, error: 'Request body must be a JSON object.' });
+    return null;
+  }
+  return body;
+}
+
+function stamp(receivedAt) {
+  return receivedAt.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+async function handleIntake(req, res) {
+  const body = await readJsonPost(req, res, MAX_ENVELOPE_BYTES, 'Encrypted submission too large.');
+  if (!body) return;
+
+  let envelope;
+  try {
+    envelope = validateSubmission(body);
+  } catch (err) {
+    console.log(`  ✘ rejected  ${err.message}`);
+    return json(res, 400, { ok: false, error: err.message });
+  }
+
+  if (storedIds().has(body.id)) {
+    console.log(`  · duplicate ${body.id.slice(0, 12)}`);
+    return json(res, 200, { ok: true, id: body.id, status: 'duplicate' });
+  }
+
+  const receivedAt = new Date().toISOString();
+  const record = { receivedAt, id: body.id, v: body.v, pqcUsed: body.pqcUsed, envelope };
+  const name = stamp(receivedAt) + '-' + body.id + '.json';
+  writeFileSync(resolve(inboxDir, name), JSON.stringify(record, null, 2) + '\n');
+
+  console.log(`  ✓ stored    ${name}`);
+  json(res, 201, { ok: true, id: body.id, status: 'created' });
+}
+
+// ── Server ──────────────────────────────────────────────────
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/api/intake') {
+    handleIntake(req, res).catch((err) => {
+      console.error(err);
+      json(res, 500, { ok: false, error: 'Internal error.' });
+    });
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    return res.end();
+  }
+  serveStatic(req, res, pathname);
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`  Secure-intake stand-in  http://localhost:${port}/intake/`);
+  console.log(`  Recipient key           ${keyPath}`);
+  console.log(`  Inbox                   ${inboxDir}`);
+  if (failStatus) console.log(`  Forcing                 ${failStatus} on every submission`);
+  console.log('\n  Decrypt: node source/intake-decrypt.mjs --key .intake-standin/recipient.key .intake-standin/inbox\n');
+});
@@ -0,0 +1,345 @@
+/**
+ * Service worker for /defense/ — source of public/defense/sw.js, which
+ * source/build-sw.mjs bundles into a classic script (Firefox runs no
+ * module workers). Rebuild after editing this or the modules it imports.
+ */
+import { MANIFEST_URL, SIGNATURE_URL, readManifest } from '../public/assets/js/manifest.js';
+import { REGISTRY_URL } from '../public/assets/js/registry.js';
+import { hexEncode } from '../public/assets/js/sha256.js';
+
+// ── Offline briefing mode ───────────────────────────────────
+// Precaches the deck, presenter view, verifier, slides, documents and
+// the signed checksum manifest as one snapshot. Every slide and document
+// is hashed against that manifest when the snapshot is built and again
+// each time it is served from the cache; a copy that no longer matches
+// is dropped rather than shown.
+//
+// The snapshot is replaced, never patched: when a page reports it is
+// online, the published manifest (and the shell around it) is compared
+// with the cached one, and any change rebuilds a fresh cache before the
+// old one is deleted. A manifest that fails its signature check never
+// replaces one that passed. Only the manifest itself is required: any
+// other file that cannot be fetched is listed as missing, and the next
+// update check tries again.
+
+const CACHE_PREFIX = 'loggie-offline-';
+const STATUS_PATH = '/defense/offline-status.json';
+
+const PAGES = ['/defense/', '/defense/presenter/', '/defense/verify/'];
+const EXTRA = ['/defense/assets/notes.json', '/defense/manifest.webmanifest', MANIFEST_URL, SIGNATURE_URL, REGISTRY_URL];
+
+// Kept when published, skipped when not; an unsigned manifest or a
+// missing registry must not stop the rest of the snapshot
+const OPTIONAL = new Set([SIGNATURE_URL, REGISTRY_URL]);
+
+// Same-origin references worth keeping; everything else stays online-only
+const PRECACHE = /^\/(assets|defense)\//;
+const DOCUMENT = /^\/defense\/assets\/(docs|slides)\/([^/]+)$/;
+const HTML_REF = /\b(?:src|href)="([^"#][^"]*)"/g;
+const JS_IMPORT = /\b(?:from|import)\s*\(?\s*['"]([^'"]+)['"]/g;
+
+let building = null;
+let progress = null;
+let lastError = null;
+
+// ── Helpers ─────────────────────────────────────────────────
+async function sha256Hex(bytes) {
+  return hexEncode(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function fetchFresh(url) {
+  const res = await fetch(url, { cache: 'no-store' });
+  if (!res.ok) throw new Error(url + ' returned ' + res.status);
+  return res;
+}
+
+/* null for an optional file that is not published; anything else missing throws */
+async function fetchListed(path) {
+  if (!OPTIONAL.has(path)) return fetchFresh(path);
+  const res = await fetch(path, { cache: 'no-store' });
+  return res.ok ? res : null;
+}
+
+function documentName(pathname) {
+  const m = DOCUMENT.exec(pathname);
+  return m ? decodeURIComponent(m[2]) : null;
+}
+
+/* Newest cache whose status record was written, i.e. a complete snapshot */
+async function currentCache() {
+  const names = (await caches.keys()).filter(n => n.startsWith(CACHE_PREFIX)).sort().reverse();
+  for (const name of names) {
+    const cache = await caches.open(name);
+    const res = await cache.match(STATUS_PATH);
+    if (res) return { name, cache, status: await res.json() };
+  }
+  return null;
+}
+
+async function saveStatus(cache, status) {
+  await cache.put(STATUS_PATH, new Response(JSON.stringify(status), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+// ── Status to pages ─────────────────────────────────────────
+async function snapshot() {
+  const current = await currentCache();
+  if (!current) {
+    return { type: 'offline-status', state: building ? 'saving' : 'none', progress, error: lastError };
+  }
+  const { status } = current;
+  return {
+    type: 'offline-status',
+    state: building ? 'updating' : 'ready',
+    progress,
+    error: lastError,
+    builtAt: status.builtAt,
+    checkedAt: status.checkedAt,
+    manifest: status.manifest,
+    documents: status.documents,
+    unlisted: status.unlisted.length,
+    failed: status.failed,
+    missing: status.missing || [],
+  };
+}
+
+async function broadcast() {
+  const message = await snapshot();
+  for (const client of await self.clients.matchAll({ type: 'window', includeUncontrolled: true })) {
+    client.postMessage(message);
+  }
+}
+
+// ── Build a snapshot ────────────────────────────────────────
+function rebuild() {
+  if (!building) {
+    building = buildSnapshot()
+      .then(() => { lastError = null; })
+      .catch((err) => { lastError = err.message; throw err; })
+      .finally(() => {
+        building = null;
+        progress = null;
+        broadcast();
+      });
+  }
+  return building;
+}
+
+async function buildSnapshot() {
+  const [mRes, sRes] = await Promise.all([fetchFresh(MANIFEST_URL), fetchListed(SIGNATURE_URL)]);
+  const manifestBytes = new Uint8Array(await mRes.arrayBuffer());
+  const manifest = await readManifest(manifestBytes, sRes ? (await sRes.text()).trim() : '');
+  const previous = await currentCache();
+
+  if (manifest.status === 'invalid' || manifest.status === 'untrusted') {
+    throw new Error('Published manifest signature is ' + manifest.status);
+  }
+  if (manifest.status !== 'verified' && previous && previous.status.manifest.status === 'verified') {
+    throw new Error('Published manifest is ' + manifest.status + ' — keeping the verified copy');
+  }
+
+  const checksums = Object.fromEntries(manifest.entries.map(e => [e.name, e.sha256]));
+  const status = {
+    builtAt: new Date().toISOString(),
+    checkedAt: new Date().toISOString(),
+    manifest: {
+      status: manifest.status,
+      version: manifest.version,
+      generated: manifest.generated,
+      signer: manifest.signer,
+      keyId: manifest.keyId,
+      sha256: await sha256Hex(manifestBytes),
+    },
+    checksums,
+    shell: {},
+    documents: 0,
+    unlisted: [],
+    failed: [],
+    missing: [],
+  };
+
+  const name = CACHE_PREFIX + Date.now();
+  const cache = await caches.open(name);
+  const queue = [...PAGES, ...EXTRA];
+  const seen = new Set(queue);
+  progress = { done: 0, total: queue.length };
+
+  try {
+    while (queue.length) {
+      const path = queue.shift();
+      const docName = documentName(path);
+      const expected = docName && checksums[docName];
+
+      // Unchanged documents are reused from the previous snapshot once they re-verify
+      let res = null;
+      let bytes = null;
+      if (expected && previous) {
+        const old = await previous.cache.match(path);
+        const oldBytes = old && await old.arrayBuffer();
+        if (oldBytes && await sha256Hex(oldBytes) === expected) { res = old; bytes = oldBytes; }
+      }
+      if (!res) {
+        try {
+          res = await fetchListed(path);
+        } catch {
+          status.missing.push(path);
+          progress.done++;
+          broadcast();
+          continue;
+        }
+        if (!res) {
+          // Recorded as absent, so the update check notices when it appears
+          status.shell[path] = null;
+          progress.done++;
+          broadcast();
+          continue;
+        }
+        bytes = await res.arrayBuffer();
+      }
+      const sha = await sha256Hex(bytes);
+
+      if (docName) {
+        if (!expected) status.unlisted.push(path);
+        else if (sha === expected) status.documents++;
+        else status.failed.push(path);
+      } else {
+        status.shell[path] = sha;
+      }
+
+      if (!status.failed.includes(path)) {
+        await cache.put(path, new Response(bytes, { status: res.status, headers: res.headers }));
+      }
+
+      // Follow what each page and script loads
+      const type = res.headers.get('Content-Type') || '';
+      const refs = type.includes('html') ? HTML_REF : type.includes('javascript') ? JS_IMPORT : null;
+      if (refs) {
+        const text = new TextDecoder().decode(bytes);
+        for (const m of text.matchAll(refs)) {
+          const url = new URL(m[1], self.location.origin + path);
+          if (url.origin !== self.location.origin || !PRECACHE.test(url.pathname) || seen.has(url.pathname)) continue;
+          seen.add(url.pathname);
+          queue.push(url.pathname);
+          progress.total++;
+        }
+      }
+
+      progress.done++;
+      broadcast();
+    }
+
+    // Written last: a cache without it is an unfinished build
+    await saveStatus(cache, status);
+  } catch (err) {
+    await caches.delete(name);
+    throw err;
+  }
+
+  for (const old of await caches.keys()) {
+    if (old.startsWith(CACHE_PREFIX) && old !== name) await caches.delete(old);
+  }
+}
+
+// ── Update check ────────────────────────────────────────────
+// Pages ask when they load online and whenever they reconnect.
+async function checkForUpdate() {
+  const current = await currentCache();
+  if (!current) return rebuild();
+
+  try {
+    // Copies dropped after failing verification, and files that could not
+    // be fetched last time, are restored by a rebuild too
+    const res = await fetchFresh(MANIFEST_URL);
+    let changed = current.status.failed.length > 0 || (current.status.missing || []).length > 0 ||
+      await sha256Hex(await res.arrayBuffer()) !== current.status.manifest.sha256;
+    for (const [path, sha] of Object.entries(current.status.shell)) {
+      if (changed) break;
+      const shell = await fetchListed(path);
+      changed = (shell ? await sha256Hex(await shell.arrayBuffer()) : null) !== sha;
+    }
+    if (changed) return await rebuild();
+
+    current.status.checkedAt = new Date().toISOString();
+    await saveStatus(current.cache, current.status);
+    lastError = null;
+  } catch {
+    // Offline or unreachable: the snapshot stands as last checked
+  }
+  broadcast();
+}
+
+// ── Serving ─────────────────────────────────────────────────
+async function markFailed(current, path) {
+  if (!current.status.failed.includes(path)) current.status.failed.push(path);
+  await saveStatus(current.cache, current.status);
+  broadcast();
+}
+
+/* Cache-first for what the snapshot holds; anything else goes to the network untouched */
+async function fromCache(request, url) {
+  const current = await currentCache();
+  const cached = current && await current.cache.match(request, { ignoreSearch: true });
+  if (!cached) return fetch(request);
+
+  const docName = documentName(url.pathname);
+  const expected = docName && current.status.checksums[docName];
+  if (!expected) return cached;
+
+  const bytes = await cached.arrayBuffer();
+  if (await sha256Hex(bytes) === expected) {
+    return new Response(bytes, { status: cached.status, headers: cached.headers });
+  }
+
+  // The cached copy changed on this device — never show it
+  await current.cache.delete(request, { ignoreSearch: true });
+  await markFailed(current, url.pathname);
+  try {
+    return await fetch(request);
+  } catch {
+    return new Response('This offline copy failed verification against checksums.txt and was removed.', {
+      status: 502,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+  }
+}
+
+/* The manifest and the registry it lists are network-first, so the verifier sees the live pair */
+async function manifestFirst(event) {
+  try {
+    const res = await fetch(event.request, { cache: 'no-store' });
+    if (res.ok) return res;
+  } catch {
+    // Offline — fall back to the snapshot's copy
+  }
+  const current = await currentCache();
+  const cached = current && await current.cache.match(event.request, { ignoreSearch: true });
+  return cached || Response.error();
+}
+
+// ── Lifecycle ───────────────────────────────────────────────
+// A failed first snapshot still installs the worker: the error reaches
+// the pages, and their next update check builds it again
+self.addEventListener('install', (event) => {
+  event.waitUntil(rebuild().catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim().then(broadcast));
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  // Only paths a snapshot can hold are ever answered from the cache
+  if (!PAGES.includes(url.pathname) && !PRECACHE.test(url.pathname)) return;
+  if (url.pathname === MANIFEST_URL || url.pathname === SIGNATURE_URL || url.pathname === REGISTRY_URL) {
+    event.respondWith(manifestFirst(event));
+  } else {
+    event.respondWith(fromCache(event.request, url));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  const type = event.data && event.data.type;
+  if (type === 'check') event.waitUntil(checkForUpdate().catch(() => {}));
+  else if (type === 'status') event.waitUntil(broadcast());
+});
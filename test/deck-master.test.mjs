@@ -0,0 +1,58 @@
+// parseMaster (source/deck-master.mjs) on small Master texts and the real one.
+//
+// Run: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMaster, readMaster } from '../source/deck-master.mjs';
+
+test('headings start slides; blank lines separate paragraphs', () => {
+  const slides = parseMaster('Slide 1 — Title\n\nFirst line\nsecond line\n\nNext paragraph\n\nSlide 2 – Two\nOnly one\n');
+  assert.deepEqual(slides, [
+    { number: 1, title: 'Title', paragraphs: ['First line\nsecond line', 'Next paragraph'] },
+    { number: 2, title: 'Two', paragraphs: ['Only one'] },
+  ]);
+});
+
+test('parenthesised paragraphs are dropped, wording notes included', () => {
+  const slides = parseMaster([
+    'Slide 1 — One',
+    '',
+    '(No italics. Keep it institutional.)',
+    '',
+    'Loggie establishes integrity.',
+    '',
+    '(“Establishes” reads more institutional than “proves.”)',
+    '',
+    '(Spans',
+    'two lines.)',
+  ].join('\n'));
+  assert.deepEqual(slides[0].paragraphs, ['Loggie establishes integrity.']);
+});
+
+test('unbracketed text is slide wording, even when it reads like a note', () => {
+  const slides = parseMaster('Slide 1 — One\n\n“Verified” is stronger than “checked.”\n\nSee (below) for more.\n');
+  assert.deepEqual(slides[0].paragraphs, ['“Verified” is stronger than “checked.”', 'See (below) for more.']);
+});
+
+test('CRLF line endings and stray whitespace are tolerated', () => {
+  const slides = parseMaster('  Slide 1 — One  \r\n\r\n  Body  \r\n');
+  assert.deepEqual(slides, [{ number: 1, title: 'One', paragraphs: ['Body'] }]);
+});
+
+test('content before the first heading throws', () => {
+  assert.throws(() => parseMaster('Preamble\n\nSlide 1 — One\n'), /before the first slide heading/);
+});
+
+test('gaps or repeats in slide numbers throw', () => {
+  assert.throws(() => parseMaster('Slide 1 — One\n\nSlide 3 — Three\n'), /expected Slide 2, found Slide 3/);
+  assert.throws(() => parseMaster('Slide 2 — Two\n'), /expected Slide 1, found Slide 2/);
+});
+
+test('the Master text parses and carries no editorial notes', () => {
+  const slides = readMaster();
+  assert.ok(slides.length > 0);
+  for (const s of slides) {
+    for (const p of s.paragraphs) assert.doesNotMatch(p, /^\(.*\)$/s);
+  }
+  assert.ok(!slides.some(s => s.paragraphs.some(p => p.includes('reads more institutional than'))));
+});
@@ -0,0 +1,67 @@
+// _headers and _redirects reading (source/headers-file.mjs).
+//
+// Run: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { parseHeadersFile, matchesPattern, headersFor, parseRedirectsFile } from '../source/headers-file.mjs';
+
+const publicFile = name => readFileSync(new URL('../public/' + name, import.meta.url), 'utf8');
+
+test('rules keep file order; comments and blank lines are skipped', () => {
+  const rules = parseHeadersFile('# site\n/*\n  X-Frame-Options: DENY\n\n/intake/\r\n\tCache-Control:  no-store  \n  # note\n');
+  assert.deepEqual(rules, [
+    { pattern: '/*', headers: [['X-Frame-Options', 'DENY']] },
+    { pattern: '/intake/', headers: [['Cache-Control', 'no-store']] },
+  ]);
+});
+
+test('a header line outside a rule, or not "Name: value", throws with its line number', () => {
+  assert.throws(() => parseHeadersFile('  X-Frame-Options: DENY\n'), /_headers line 1:/);
+  assert.throws(() => parseHeadersFile('/*\n  not a header\n'), /_headers line 2:/);
+});
+
+test('a trailing * matches any suffix; anything else matches exactly', () => {
+  assert.ok(matchesPattern('/*', '/'));
+  assert.ok(matchesPattern('/defense/*', '/defense/verify/'));
+  assert.ok(!matchesPattern('/defense/*', '/defense'));
+  assert.ok(matchesPattern('/intake/', '/intake/'));
+  assert.ok(!matchesPattern('/intake/', '/intake/index.html'));
+});
+
+test('every matching rule applies, repeated headers joined in rule order', () => {
+  const rules = parseHeadersFile([
+    '/*',
+    '  Content-Security-Policy: default-src \'self\'',
+    '  X-Frame-Options: DENY',
+    '/intake/*',
+    '  content-security-policy: connect-src https://api.example',
+    '/other/',
+    '  X-Other: 1',
+  ].join('\n'));
+  const h = headersFor(rules, '/intake/');
+  assert.deepEqual([...h.keys()], ['content-security-policy', 'x-frame-options']);
+  assert.deepEqual(h.get('content-security-policy'), {
+    name: 'Content-Security-Policy',
+    value: 'default-src \'self\', connect-src https://api.example',
+    patterns: ['/*', '/intake/*'],
+  });
+  assert.equal(headersFor(rules, '/').get('content-security-policy').value, 'default-src \'self\'');
+});
+
+test('redirects default to 302 and skip comments', () => {
+  assert.deepEqual(parseRedirectsFile('# moved\n/a /b\n\n/c  https://x.test/d  301\n'), [
+    { from: '/a', to: '/b', status: 302 },
+    { from: '/c', to: 'https://x.test/d', status: 301 },
+  ]);
+});
+
+test('the published _headers and _redirects parse', () => {
+  const rules = parseHeadersFile(publicFile('_headers'));
+  assert.ok(rules.length > 0);
+  assert.ok(headersFor(rules, '/intake/').has('content-security-policy'));
+  for (const r of parseRedirectsFile(publicFile('_redirects'))) {
+    assert.match(r.from, /^\//);
+    assert.ok([301, 302, 307, 308].includes(r.status));
+  }
+});
@@ -0,0 +1,65 @@
+// validateSubmission and recipient keys (source/intake-envelope.mjs).
+//
+// Run: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INTAKE_VERSION, ENVELOPE_VERSION,
+  generateRecipientKey, publicKeyHexFor, sharedSecret, validateSubmission,
+} from '../source/intake-envelope.mjs';
+
+const envelope = (over = {}) => ({
+  v: ENVELOPE_VERSION,
+  suite: 'x25519',
+  x25519Epk: 'e'.repeat(64),
+  contentNonce: 'bm9uY2U=',
+  ciphertext: 'Y2lwaGVy',
+  x25519Wrap: { nonce: 'bm9uY2U=', wrapped: 'd3JhcA==' },
+  ...over,
+});
+
+const body = (over = {}, env = envelope()) => ({
+  v: INTAKE_VERSION,
+  id: 'a'.repeat(64),
+  pqcUsed: false,
+  encrypted: JSON.stringify(env),
+  ...over,
+});
+
+test('a well-formed submission returns its parsed envelope', () => {
+  assert.deepEqual(validateSubmission(body()), envelope());
+});
+
+test('the outer body is checked field by field', () => {
+  assert.throws(() => validateSubmission(null), /^Error: Invalid submission\.$/);
+  assert.throws(() => validateSubmission(body({ v: 'loggie.intake.v0' })), /Unsupported submission version: loggie\.intake\.v0/);
+  assert.throws(() => validateSubmission(body({ id: 'A'.repeat(64) })), /Invalid submission id/);
+  assert.throws(() => validateSubmission(body({ id: 'a'.repeat(63) })), /Invalid submission id/);
+  assert.throws(() => validateSubmission(body({ pqcUsed: 'no' })), /Invalid submission/);
+  assert.throws(() => validateSubmission(body({ encrypted: undefined })), /Missing encrypted payload/);
+});
+
+test('the envelope must be a JSON object of the expected version', () => {
+  assert.throws(() => validateSubmission(body({ encrypted: '{' })), /not valid JSON/);
+  assert.throws(() => validateSubmission(body({ encrypted: '[]' })), /not an envelope/);
+  assert.throws(() => validateSubmission(body({}, envelope({ v: 'omnituum.hybrid.v0' }))), /Unsupported envelope version/);
+});
+
+test('every envelope field is required', () => {
+  assert.throws(() => validateSubmission(body({}, envelope({ suite: '' }))), /missing suite/);
+  assert.throws(() => validateSubmission(body({}, envelope({ x25519Epk: 'zz' }))), /Invalid ephemeral key/);
+  assert.throws(() => validateSubmission(body({}, envelope({ contentNonce: '' }))), /missing contentNonce/);
+  assert.throws(() => validateSubmission(body({}, envelope({ ciphertext: undefined }))), /missing ciphertext/);
+  assert.throws(() => validateSubmission(body({}, envelope({ x25519Wrap: { nonce: 'bm9uY2U=' } }))), /missing x25519Wrap/);
+});
+
+test('both sides of an X25519 exchange derive the same secret', () => {
+  const recipient = generateRecipientKey();
+  const sender = generateRecipientKey();
+  assert.match(recipient.secretKeyHex, /^[0-9a-f]{64}$/);
+  assert.equal(publicKeyHexFor(recipient.secretKeyHex), recipient.publicKeyHex);
+  assert.deepEqual(
+    sharedSecret(recipient.secretKeyHex, sender.publicKeyHex),
+    sharedSecret(sender.secretKeyHex, recipient.publicKeyHex),
+  );
+});
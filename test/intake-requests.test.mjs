@@ -0,0 +1,60 @@
+// Request types and validateRequest (public/assets/js/intake-requests.js).
+//
+// Run: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_REQUEST, MAX_TEXT_LENGTH, REQUEST_TYPES, validateRequest } from '../public/assets/js/intake-requests.js';
+
+// The preset's canonical fields; anything else would never reach the service
+const CANONICAL = ['email', 'company', 'system', 'useCase', 'timeline', 'compliance'];
+
+const empty = { email: '', company: '', system: '', useCase: '', timeline: '', compliance: [] };
+const filled = {
+  email: 'analyst@agency.mil',
+  company: 'US Navy',
+  system: 'Operational log integrity',
+  useCase: 'compliance',
+  timeline: '30-90',
+  compliance: ['cmmc'],
+};
+
+test('every type lists only canonical fields and asks for email and company', () => {
+  assert.ok(DEFAULT_REQUEST in REQUEST_TYPES);
+  for (const [kind, type] of Object.entries(REQUEST_TYPES)) {
+    assert.ok(type.label && type.hint, kind);
+    for (const name of Object.keys(type.fields)) assert.ok(CANONICAL.includes(name), `${kind}.${name}`);
+    assert.ok(type.fields.email.required && type.fields.company.required, kind);
+  }
+});
+
+test('a complete request has no errors, for every type', () => {
+  for (const kind of Object.keys(REQUEST_TYPES)) assert.deepEqual(validateRequest(kind, filled), {}, kind);
+});
+
+test('each type reports its own required fields with its own messages', () => {
+  assert.deepEqual(validateRequest('request_pilot_access', empty), {
+    email: 'Enter your work email.',
+    company: 'Enter the organization you represent.',
+    useCase: 'Select the primary use case for the pilot.',
+  });
+  assert.deepEqual(Object.keys(validateRequest('request_capability_brief', empty)), ['email', 'company', 'system']);
+  assert.deepEqual(Object.keys(validateRequest('schedule_deep_dive', empty)), ['email', 'company', 'system', 'timeline']);
+});
+
+test('fields a type does not list are not checked', () => {
+  const errors = validateRequest('request_capability_brief', { ...filled, useCase: '', timeline: '', system: 'Source selection' });
+  assert.deepEqual(errors, {});
+});
+
+test('a malformed email is rejected once it is present', () => {
+  assert.match(validateRequest(DEFAULT_REQUEST, { ...filled, email: 'analyst@agency' }).email, /valid email/);
+  assert.match(validateRequest(DEFAULT_REQUEST, { ...filled, email: 'a b@agency.mil' }).email, /valid email/);
+});
+
+test('free text is capped at MAX_TEXT_LENGTH characters', () => {
+  assert.deepEqual(validateRequest(DEFAULT_REQUEST, { ...filled, system: 'x'.repeat(MAX_TEXT_LENGTH) }), {});
+  assert.equal(
+    validateRequest(DEFAULT_REQUEST, { ...filled, system: 'x'.repeat(MAX_TEXT_LENGTH + 1) }).system,
+    'Keep this under 2,000 characters.',
+  );
+});
@@ -0,0 +1,53 @@
+// readManifest (public/assets/js/manifest.js) against the published,
+// signed checksums.txt and altered copies of it.
+//
+// Run: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { readManifest } from '../public/assets/js/manifest.js';
+
+const bytes = readFileSync(new URL('../public/defense/sha/checksums.txt', import.meta.url));
+const sig = readFileSync(new URL('../public/defense/sha/checksums.txt.sig', import.meta.url), 'utf8').trim();
+
+const edit = (from, to) => new TextEncoder().encode(bytes.toString('utf8').replace(from, to));
+
+test('the published manifest verifies against the pinned key', async () => {
+  const m = await readManifest(bytes, sig);
+  assert.equal(m.status, 'verified');
+  assert.equal(m.keyId, 'b41c9a2d60866207');
+  assert.equal(m.signer, 'Loggie Labs Release Signing');
+  assert.match(m.version, /^\d+$/);
+  assert.ok(m.entries.some(e => e.name === 'registry.json'));
+  for (const e of m.entries) assert.match(e.sha256, /^[0-9a-f]{64}$/);
+});
+
+test('no signature is unsigned, entries still listed', async () => {
+  const m = await readManifest(bytes, '');
+  assert.equal(m.status, 'unsigned');
+  assert.equal(m.signer, null);
+  assert.ok(m.entries.length > 0);
+});
+
+test('an edited entry fails the signature', async () => {
+  const m = await readManifest(edit(/^[0-9a-f]/m, c => (c === '0' ? '1' : '0')), sig);
+  assert.equal(m.status, 'invalid');
+  assert.equal(m.signer, null);
+});
+
+test('a Key-Id that is not pinned is untrusted', async () => {
+  const m = await readManifest(edit(/^# Key-Id: .*$/m, '# Key-Id: 0000000000000000'), sig);
+  assert.equal(m.status, 'untrusted');
+});
+
+test('a malformed signature is invalid, not thrown', async () => {
+  const m = await readManifest(bytes, 'not base64!');
+  assert.equal(m.status, 'invalid');
+});
+
+test('only "<64 hex>  <name>" lines are entries', async () => {
+  const text = '# Version: 3\n\n' + 'a'.repeat(64) + '  one.pdf\n' + 'b'.repeat(63) + '  short.pdf\n' + 'c'.repeat(64) + ' one-space.pdf\n';
+  const m = await readManifest(new TextEncoder().encode(text), '');
+  assert.equal(m.version, '3');
+  assert.deepEqual(m.entries, [{ sha256: 'a'.repeat(64), name: 'one.pdf' }]);
+});
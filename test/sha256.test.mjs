@@ -0,0 +1,44 @@
+// Sha256 (public/assets/js/sha256.js), the incremental hasher behind
+// streamed verification, against node:crypto's one-shot digest.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { Sha256, hexEncode } from '../public/assets/js/sha256.js';
+
+const oneShot = bytes => createHash('sha256').update(bytes).digest('hex');
+
+function pattern(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) bytes[i] = (i * 31 + (i >> 8)) & 0xff;
+  return bytes;
+}
+
+test('known vectors', () => {
+  assert.equal(new Sha256().digest(), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  assert.equal(new Sha256().update(new TextEncoder().encode('abc')).digest(), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('lengths around the 64-byte block and the 56-byte padding edge', () => {
+  for (const length of [1, 55, 56, 57, 63, 64, 65, 119, 120, 127, 128, 129, 1000]) {
+    const bytes = pattern(length);
+    assert.equal(new Sha256().update(bytes).digest(), oneShot(bytes), `length ${length}`);
+  }
+});
+
+test('any chunking gives the one-shot digest', () => {
+  const bytes = pattern(10_000);
+  for (const size of [1, 7, 63, 64, 65, 333, 4096]) {
+    const sha = new Sha256();
+    for (let i = 0; i < bytes.length; i += size) sha.update(bytes.subarray(i, i + size));
+    assert.equal(sha.digest(), oneShot(bytes), `chunks of ${size}`);
+  }
+});
+
+test('update takes ArrayBuffers as well as Uint8Arrays', () => {
+  const bytes = pattern(200);
+  assert.equal(new Sha256().update(bytes.slice(0, 90).buffer).update(bytes.slice(90)).digest(), oneShot(bytes));
+});
+
+test('hexEncode', () => {
+  assert.equal(hexEncode(Uint8Array.of(0, 1, 0xab, 0xff).buffer), '0001abff');
+});
@@ -0,0 +1,39 @@
+// CSV export of the verifier's report (public/assets/js/verify-report.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV_COLUMNS, buildCsv, csvField } from '../public/assets/js/verify-report.js';
+
+test('formula-like values are defused with a leading quote', () => {
+  for (const s of ['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)', '\tx', '\rx']) {
+    assert.ok(csvField(s).replace(/^"/, '').startsWith("'"), JSON.stringify(s));
+  }
+  assert.equal(csvField('report.pdf'), 'report.pdf');
+  assert.equal(csvField('a=b'), 'a=b');
+});
+
+test('commas, quotes and newlines are quoted', () => {
+  assert.equal(csvField('a,b'), '"a,b"');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField('two\nlines'), '"two\nlines"');
+  assert.equal(csvField('=1,2'), '"\'=1,2"');
+});
+
+test('empty values', () => {
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(undefined), '');
+  assert.equal(csvField(0), '0');
+});
+
+test('rows for files and missing documents', () => {
+  const csv = buildCsv({
+    manifest: { version: '2', signatureStatus: 'verified' },
+    files: [{ path: 'dir/a.pdf', file: 'a.pdf', size: 10, sha256: 'f'.repeat(64), status: 'superseded', document: 'a.pdf', version: '1', supersededBy: { version: '2', released: '2026-10-19' }, checkedAt: 't', error: null }],
+    missing: ['b.pdf'],
+  });
+  const rows = csv.split('\r\n');
+  assert.equal(rows.length, 4);
+  assert.equal(rows[3], '');
+  assert.deepEqual(rows[0].split(','), [...CSV_COLUMNS, 'manifestVersion', 'manifestSignature']);
+  assert.equal(rows[1], `dir/a.pdf,a.pdf,10,${'f'.repeat(64)},superseded,a.pdf,1,v2 (2026-10-19),t,,2,verified`);
+  assert.equal(rows[2], ',,,,missing,b.pdf,,,,,2,verified');
+});